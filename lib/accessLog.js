@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// Who did what: API requests, sign-ins and exports, one JSON object per line
+// in access-log.jsonl. The file is rotated to access-log.1.jsonl when it
+// grows past MAX_FILE_BYTES, so about two files' worth of history is kept.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const LOG_FILE = path.join(DATA_DIR, 'access-log.jsonl');
+const ROTATED_FILE = path.join(DATA_DIR, 'access-log.1.jsonl');
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+function rotateIfNeeded() {
+  try {
+    if (fs.statSync(LOG_FILE).size > MAX_FILE_BYTES) {
+      fs.renameSync(LOG_FILE, ROTATED_FILE);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// type is "request", "login", "logout", "login_failed" or "export"
+function record(type, req, details = {}) {
+  const entry = {
+    time: new Date().toISOString(),
+    type,
+    user: req.user?.username || null,
+    authMethod: req.authMethod || null,
+    ...(req.apiKeyName ? { apiKey: req.apiKeyName } : {}),
+    ip: req.ip,
+    ...details
+  };
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    rotateIfNeeded();
+    fs.appendFileSync(LOG_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('Could not write access log:', error.message);
+  }
+}
+
+function readEntries(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+// Newest entries first
+function list({ user, type, limit = 200 } = {}) {
+  return [...readEntries(ROTATED_FILE), ...readEntries(LOG_FILE)]
+    .reverse()
+    .filter(entry => (!user || entry.user === user) && (!type || entry.type === type))
+    .slice(0, limit);
+}
+
+module.exports = {
+  record,
+  list
+};
@@ -0,0 +1,153 @@
+// Sales and payment figures for a set of orders, for the dashboard charts.
+// Cancelled orders are counted in the status breakdowns but left out of
+// revenue, discount, shipping and SKU totals.
+const { classifyPaymentMethod } = require('./orderQuery');
+const { summarizeRefunds, getNetQuantity } = require('./refunds');
+const { formatTimestamp } = require('./timezone');
+
+// Periods are calendar days, ISO weeks and months in the shop timezone
+const PERIOD_FORMATS = {
+  day: 'YYYY-MM-DD',
+  week: 'GGGG-[W]WW',
+  month: 'YYYY-MM'
+};
+
+function toAmount(value) {
+  return parseFloat(value || 0) || 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function getShippingAmount(order) {
+  if (order.total_shipping_price_set?.shop_money?.amount) {
+    return toAmount(order.total_shipping_price_set.shop_money.amount);
+  }
+  return (order.shipping_lines || []).reduce((sum, line) => sum + toAmount(line.price), 0);
+}
+
+// Revenue of a quantity of a line item, net of its share of the line discount
+function getLineRevenue(lineItem, quantity) {
+  const unitDiscount = toAmount(lineItem.total_discount) / (lineItem.quantity || 1);
+  return quantity * (toAmount(lineItem.price) - unitDiscount);
+}
+
+// Add an order's revenue to a bucket keyed by name, creating it on first use
+function addTo(buckets, key, revenue) {
+  const bucket = buckets.get(key) || { key, orderCount: 0, revenue: 0 };
+  bucket.orderCount++;
+  bucket.revenue += revenue;
+  buckets.set(key, bucket);
+}
+
+function listBuckets(buckets, keyName) {
+  return [...buckets.values()].map(({ key, orderCount, revenue }) => ({
+    [keyName]: key,
+    orderCount,
+    revenue: round(revenue),
+    averageOrderValue: orderCount > 0 ? round(revenue / orderCount) : 0
+  }));
+}
+
+// timezone decides which day, week and month an order falls in; currency is
+// reported when there are no orders to take it from
+function summarizeOrders(orders, { top = 10, timezone, currency = '' } = {}) {
+  const series = { day: new Map(), week: new Map(), month: new Map() };
+  const paymentMethods = new Map();
+  const financialStatuses = new Map();
+  const fulfillmentStatuses = new Map();
+  const discountCodes = new Map();
+  const skus = new Map();
+  const totals = {
+    orderCount: 0,
+    cancelledCount: 0,
+    revenue: 0,
+    refunds: 0,
+    shippingRevenue: 0,
+    discounts: 0,
+    ordersWithDiscount: 0
+  };
+
+  for (const order of orders) {
+    const revenue = toAmount(order.total_price);
+    addTo(financialStatuses, order.financial_status || 'unknown', revenue);
+    addTo(fulfillmentStatuses, order.fulfillment_status || 'unfulfilled', revenue);
+    if (order.cancelled_at) {
+      totals.cancelledCount++;
+      continue;
+    }
+
+    const refundSummary = summarizeRefunds(order.refunds || []);
+    totals.orderCount++;
+    totals.revenue += revenue;
+    totals.refunds += refundSummary.refundAmount;
+    totals.shippingRevenue += getShippingAmount(order);
+
+    const discount = toAmount(order.total_discounts);
+    totals.discounts += discount;
+    if (discount > 0) {
+      totals.ordersWithDiscount++;
+    }
+    for (const code of order.discount_codes || []) {
+      const usage = discountCodes.get(code.code) || { code: code.code, uses: 0, amount: 0 };
+      usage.uses++;
+      usage.amount += toAmount(code.amount);
+      discountCodes.set(code.code, usage);
+    }
+
+    for (const [period, format] of Object.entries(PERIOD_FORMATS)) {
+      addTo(series[period], formatTimestamp(order.created_at, format, timezone), revenue);
+    }
+    addTo(paymentMethods, classifyPaymentMethod(order), revenue);
+
+    // SKU figures use the quantity left after refunds
+    for (const lineItem of order.line_items || []) {
+      const quantity = getNetQuantity(lineItem, refundSummary);
+      const key = lineItem.sku || lineItem.name;
+      const sku = skus.get(key) || { sku: lineItem.sku || '', name: lineItem.name, quantity: 0, revenue: 0 };
+      sku.quantity += quantity;
+      sku.revenue += getLineRevenue(lineItem, quantity);
+      skus.set(key, sku);
+    }
+  }
+
+  const byPeriod = (a, b) => (a.period < b.period ? -1 : 1);
+  const skuList = [...skus.values()].map(sku => ({ ...sku, revenue: round(sku.revenue) }));
+
+  return {
+    currency: orders[0]?.currency || currency,
+    totals: {
+      ...totals,
+      revenue: round(totals.revenue),
+      refunds: round(totals.refunds),
+      netRevenue: round(totals.revenue - totals.refunds),
+      shippingRevenue: round(totals.shippingRevenue),
+      discounts: round(totals.discounts),
+      averageOrderValue: totals.orderCount > 0 ? round(totals.revenue / totals.orderCount) : 0
+    },
+    series: {
+      day: listBuckets(series.day, 'period').sort(byPeriod),
+      week: listBuckets(series.week, 'period').sort(byPeriod),
+      month: listBuckets(series.month, 'period').sort(byPeriod)
+    },
+    paymentMethods: listBuckets(paymentMethods, 'method').sort((a, b) => b.revenue - a.revenue),
+    financialStatuses: listBuckets(financialStatuses, 'status').sort((a, b) => b.orderCount - a.orderCount),
+    fulfillmentStatuses: listBuckets(fulfillmentStatuses, 'status').sort((a, b) => b.orderCount - a.orderCount),
+    discountCodes: [...discountCodes.values()]
+      .map(usage => ({ ...usage, amount: round(usage.amount) }))
+      .sort((a, b) => b.uses - a.uses),
+    topSkus: {
+      byQuantity: [...skuList].sort((a, b) => b.quantity - a.quantity).slice(0, top),
+      byRevenue: [...skuList].sort((a, b) => b.revenue - a.revenue).slice(0, top)
+    }
+  };
+}
+
+module.exports = {
+  toAmount,
+  round,
+  getShippingAmount,
+  getLineRevenue,
+  summarizeOrders
+};
@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+
+// Users, sessions and API keys. Users (with their hashed passwords and API
+// keys) live in users.json and signed-in sessions in sessions.json; only
+// SHA-256 hashes of session tokens and API keys are stored.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SESSION_TTL_MS = parseFloat(process.env.SESSION_TTL_HOURS || '168') * 60 * 60 * 1000;
+
+const SESSION_COOKIE = 'nut_session';
+const API_KEY_PREFIX = 'nok_';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Each role can do everything the roles before it can:
+// viewer sees orders and analytics, exporter also downloads files,
+// admin also changes settings and manages users
+const ROLES = ['viewer', 'exporter', 'admin'];
+
+// Failed sign-ins per address, to slow down password guessing
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILED_LOGINS = 10;
+const failedLogins = new Map();
+
+const scrypt = util.promisify(crypto.scrypt);
+
+let usersCache = null;
+let sessionsCache = null;
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function generateId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function loadUsers() {
+  if (!usersCache) {
+    usersCache = fs.existsSync(USERS_FILE) ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) : [];
+  }
+  return usersCache;
+}
+
+function saveUsers() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(USERS_FILE, JSON.stringify(usersCache, null, 2));
+}
+
+function loadSessions() {
+  if (!sessionsCache) {
+    sessionsCache = fs.existsSync(SESSIONS_FILE) ? JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8')) : {};
+  }
+  return sessionsCache;
+}
+
+// Expired sessions are dropped whenever the file is written
+function saveSessions() {
+  const now = Date.now();
+  for (const [hash, session] of Object.entries(sessionsCache)) {
+    if (new Date(session.expiresAt).getTime() <= now) {
+      delete sessionsCache[hash];
+    }
+  }
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessionsCache, null, 2));
+}
+
+// Passwords are stored as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw httpError(`Role must be one of ${ROLES.join(', ')}`, 400);
+  }
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// User as returned by the API, without password or key hashes
+function describeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt || null,
+    apiKeys: (user.apiKeys || []).map(({ hash, ...key }) => key)
+  };
+}
+
+function listUsers() {
+  return loadUsers().map(describeUser);
+}
+
+function getUser(id) {
+  return loadUsers().find(user => user.id === id) || null;
+}
+
+function findUserByName(username) {
+  const name = (username || '').toString().trim().toLowerCase();
+  return loadUsers().find(user => user.username.toLowerCase() === name) || null;
+}
+
+function countAdmins() {
+  return loadUsers().filter(user => user.role === 'admin').length;
+}
+
+async function createUser({ username, password, role = 'viewer' }) {
+  const name = (username || '').toString().trim();
+  if (!/^[\w.@-]{2,64}$/.test(name)) {
+    throw httpError('Username must be 2-64 letters, digits or . _ @ -', 400);
+  }
+  if (findUserByName(name)) {
+    throw httpError(`User "${name}" already exists`, 409);
+  }
+  validateRole(role);
+  validatePassword(password);
+
+  const user = {
+    id: generateId(),
+    username: name,
+    role,
+    passwordHash: await hashPassword(password),
+    apiKeys: [],
+    createdAt: new Date().toISOString()
+  };
+  loadUsers().push(user);
+  saveUsers();
+  return user;
+}
+
+// Change a user's role and/or password. The last admin cannot be demoted.
+async function updateUser(id, { role, password }) {
+  const user = getUser(id);
+  if (!user) {
+    return null;
+  }
+  if (role !== undefined && role !== user.role) {
+    validateRole(role);
+    if (user.role === 'admin' && countAdmins() === 1) {
+      throw httpError('Cannot remove the last admin', 400);
+    }
+  }
+  if (password !== undefined) {
+    validatePassword(password);
+    user.passwordHash = await hashPassword(password);
+    // Sign out everywhere else when the password changes
+    removeSessions(session => session.userId === user.id);
+  }
+  if (role !== undefined) {
+    user.role = role;
+  }
+  saveUsers();
+  return user;
+}
+
+function deleteUser(id) {
+  const users = loadUsers();
+  const index = users.findIndex(user => user.id === id);
+  if (index === -1) {
+    return false;
+  }
+  if (users[index].role === 'admin' && countAdmins() === 1) {
+    throw httpError('Cannot delete the last admin', 400);
+  }
+  users.splice(index, 1);
+  saveUsers();
+  removeSessions(session => session.userId === id);
+  return true;
+}
+
+// First admin from ADMIN_USERNAME / ADMIN_PASSWORD, when there are no users yet
+async function ensureAdmin({ username, password }) {
+  if (loadUsers().length > 0) {
+    return null;
+  }
+  if (!username || !password) {
+    console.warn('⚠️  No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+    return null;
+  }
+  const user = await createUser({ username, password, role: 'admin' });
+  console.log(`Created admin user "${user.username}"`);
+  return user;
+}
+
+function isLoginBlocked(address) {
+  const entry = failedLogins.get(address);
+  if (!entry || Date.now() - entry.since > LOGIN_WINDOW_MS) {
+    failedLogins.delete(address);
+    return false;
+  }
+  return entry.count >= MAX_FAILED_LOGINS;
+}
+
+function recordFailedLogin(address) {
+  const entry = failedLogins.get(address);
+  if (!entry || Date.now() - entry.since > LOGIN_WINDOW_MS) {
+    failedLogins.set(address, { count: 1, since: Date.now() });
+  } else {
+    entry.count++;
+  }
+}
+
+// Check a username and password and start a session. Returns the user and
+// the session token for the cookie.
+async function login(username, password, address) {
+  if (isLoginBlocked(address)) {
+    throw httpError('Too many failed sign-ins, try again later', 429);
+  }
+  const user = findUserByName(username);
+  // Hash even for unknown users so both cases take the same time
+  const valid = await verifyPassword((password || '').toString(), user ? user.passwordHash : `scrypt$00$${'0'.repeat(128)}`);
+  if (!user || !valid) {
+    recordFailedLogin(address);
+    throw httpError('Invalid username or password', 401);
+  }
+  failedLogins.delete(address);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  loadSessions()[sha256(token)] = {
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  };
+  saveSessions();
+  user.lastLoginAt = new Date().toISOString();
+  saveUsers();
+  return { user, token };
+}
+
+function logout(token) {
+  const sessions = loadSessions();
+  if (token && sessions[sha256(token)]) {
+    delete sessions[sha256(token)];
+    saveSessions();
+  }
+}
+
+function removeSessions(predicate) {
+  const sessions = loadSessions();
+  for (const [hash, session] of Object.entries(sessions)) {
+    if (predicate(session)) {
+      delete sessions[hash];
+    }
+  }
+  saveSessions();
+}
+
+// New API key for a user. The key itself is only returned here; afterwards
+// it is identified by its name and first characters.
+function createApiKey(userId, name) {
+  const user = getUser(userId);
+  if (!user) {
+    return null;
+  }
+  const keyName = (name || '').toString().trim();
+  if (!keyName) {
+    throw httpError('API key requires a name', 400);
+  }
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const apiKey = {
+    id: generateId(),
+    name: keyName,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    hash: sha256(key),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  user.apiKeys = [...(user.apiKeys || []), apiKey];
+  saveUsers();
+  const { hash, ...details } = apiKey;
+  return { apiKey: details, key };
+}
+
+function deleteApiKey(userId, keyId) {
+  const user = getUser(userId);
+  const index = (user?.apiKeys || []).findIndex(key => key.id === keyId);
+  if (index === -1) {
+    return false;
+  }
+  user.apiKeys.splice(index, 1);
+  saveUsers();
+  return true;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Skip values that aren't valid percent-encoding rather than failing
+      // every request that carries them
+    }
+  }
+  return cookies;
+}
+
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function getApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+// Express middleware: sets req.user (and req.authMethod, "session" or
+// "api_key") when the request carries a valid session cookie or API key
+function authenticate(req, res, next) {
+  const key = getApiKey(req);
+  if (key) {
+    const hash = sha256(key);
+    for (const user of loadUsers()) {
+      const apiKey = (user.apiKeys || []).find(candidate => candidate.hash === hash);
+      if (apiKey) {
+        // Written at most once a minute per key
+        if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > 60 * 1000) {
+          apiKey.lastUsedAt = new Date().toISOString();
+          saveUsers();
+        }
+        req.user = user;
+        req.authMethod = 'api_key';
+        req.apiKeyName = apiKey.name;
+        break;
+      }
+    }
+    return next();
+  }
+
+  const token = getSessionToken(req);
+  const session = token && loadSessions()[sha256(token)];
+  if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+    const user = getUser(session.userId);
+    if (user) {
+      req.user = user;
+      req.authMethod = 'session';
+    }
+  }
+  next();
+}
+
+// Express middleware for routes that need at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ success: false, error: `This needs the ${role} role` });
+    }
+    next();
+  };
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  describeUser,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureAdmin,
+  verifyPassword,
+  login,
+  logout,
+  createApiKey,
+  deleteApiKey,
+  getSessionToken,
+  authenticate,
+  requireRole,
+  setSessionCookie,
+  clearSessionCookie
+};
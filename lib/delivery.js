@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Delivers export files by email (SMTP_* settings) or by copying them into
+// a drop folder under EXPORT_DROP_DIR, e.g. a synced or shared directory.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const DROP_DIR = path.resolve(process.env.EXPORT_DROP_DIR || path.join(DATA_DIR, 'exports'));
+
+let transport = null;
+
+function isEmailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransport() {
+  if (!isEmailConfigured()) {
+    throw new Error('Email delivery needs SMTP_HOST to be set');
+  }
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+async function sendEmail({ to, subject, text, attachments }) {
+  await getTransport().sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER || 'orders-report@localhost',
+    to,
+    subject,
+    text,
+    attachments
+  });
+}
+
+// Folders are relative to EXPORT_DROP_DIR and can't point outside it
+function resolveDropFolder(folder) {
+  const target = path.resolve(DROP_DIR, folder || '.');
+  if (target !== DROP_DIR && !target.startsWith(DROP_DIR + path.sep)) {
+    throw new Error(`Folder "${folder}" is outside the export drop directory`);
+  }
+  return target;
+}
+
+// Copy the file into the folder and return where it was written
+async function writeToFolder(filePath, folder, fileName) {
+  const target = resolveDropFolder(folder);
+  await fs.promises.mkdir(target, { recursive: true });
+  const destination = path.join(target, fileName);
+  await fs.promises.copyFile(filePath, destination);
+  return destination;
+}
+
+module.exports = {
+  isEmailConfigured,
+  sendEmail,
+  resolveDropFolder,
+  writeToFolder
+};
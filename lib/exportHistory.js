@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Every export file that went out: from the export endpoints, background
+// jobs and schedules. Each one is recorded in export-history.jsonl with its
+// parameters, who made it, the orders in it, its row count and a SHA-256
+// checksum, and a copy of the file is kept for EXPORT_HISTORY_RETENTION_DAYS
+// so it can be downloaded again. Records are kept after their file expires.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const HISTORY_FILE = path.join(DATA_DIR, 'export-history.jsonl');
+const FILES_DIR = path.join(DATA_DIR, 'export-history');
+const RETENTION_DAYS = parseFloat(process.env.EXPORT_HISTORY_RETENTION_DAYS || '90');
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Destinations are free text such as a courier name, matched without case
+function normalizeDestination(destination) {
+  return (destination || '').toString().trim().toLowerCase();
+}
+
+function checksumFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function getStoredFile(entry) {
+  return path.join(FILES_DIR, `${entry.id}.${entry.format}`);
+}
+
+function readEntries() {
+  if (!fs.existsSync(HISTORY_FILE)) {
+    return [];
+  }
+  return fs.readFileSync(HISTORY_FILE, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+// Record an export and keep a copy of its file. source is "download",
+// "job" or "schedule" (with scheduleName); orders are the { store, id, name }
+// in the file.
+async function recordExport({ filePath, format, fileName, source, user = null, scheduleName, params, orders, rowCount }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    source,
+    user,
+    scheduleName,
+    format,
+    fileName,
+    params: { ...params, destination: normalizeDestination(params.destination) || undefined },
+    orderCount: orders.length,
+    rowCount,
+    size: fs.statSync(filePath).size,
+    checksum: await checksumFile(filePath),
+    expiresAt: new Date(Date.now() + RETENTION_MS).toISOString(),
+    orders
+  };
+  fs.mkdirSync(FILES_DIR, { recursive: true });
+  await fs.promises.copyFile(filePath, getStoredFile(entry));
+  fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+// An entry without its order list, and whether its file can still be downloaded
+function describeEntry({ orders, ...entry }) {
+  return { ...entry, fileAvailable: fs.existsSync(getStoredFile(entry)) };
+}
+
+// Newest first, optionally only one store's or destination's exports
+function listExports({ store, destination, limit = 100 } = {}) {
+  const wanted = normalizeDestination(destination);
+  return readEntries()
+    .reverse()
+    .filter(entry => (!store || entry.params.store === store || entry.orders.some(order => order.store === store)) &&
+      (!wanted || entry.params.destination === wanted))
+    .slice(0, limit)
+    .map(describeEntry);
+}
+
+function getExport(id) {
+  const entry = readEntries().find(candidate => candidate.id === id);
+  return entry ? { ...describeEntry(entry), orders: entry.orders } : null;
+}
+
+// Path of an export's kept file, or null once it has expired
+function getExportFile(entry) {
+  const filePath = getStoredFile(entry);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// Keys ("store:id") of every order in an earlier export, or only in exports
+// to destination when one is given
+function getExportedOrderKeys({ destination } = {}) {
+  const wanted = normalizeDestination(destination);
+  const keys = new Set();
+  for (const entry of readEntries()) {
+    if (wanted && entry.params.destination !== wanted) continue;
+    for (const order of entry.orders) {
+      keys.add(`${order.store}:${order.id}`);
+    }
+  }
+  return keys;
+}
+
+// Delete kept files past their retention period
+function removeExpiredFiles() {
+  const now = Date.now();
+  for (const entry of readEntries()) {
+    if (new Date(entry.expiresAt).getTime() < now) {
+      fs.rm(getStoredFile(entry), { force: true }, () => {});
+    }
+  }
+}
+
+setInterval(removeExpiredFiles, 60 * 60 * 1000).unref();
+
+module.exports = {
+  RETENTION_DAYS,
+  recordExport,
+  listExports,
+  getExport,
+  getExportFile,
+  getExportedOrderKeys
+};
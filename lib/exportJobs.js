@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Background export jobs. Each job writes to its own temp file, reports its
+// progress while it runs and keeps the finished file for EXPORT_JOB_TTL_MINUTES.
+const EXPORT_DIR = path.join(os.tmpdir(), 'nut-orders-exports');
+const JOB_TTL_MS = parseInt(process.env.EXPORT_JOB_TTL_MINUTES || '60', 10) * 60 * 1000;
+
+const jobs = new Map();
+
+// Unique temp file for one export; the caller deletes it when done
+function createTempFile(extension) {
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+  return path.join(EXPORT_DIR, `${crypto.randomUUID()}.${extension}`);
+}
+
+function removeFile(filePath) {
+  if (filePath) {
+    fs.rm(filePath, { force: true }, () => {});
+  }
+}
+
+// Start a job in the background. run(job) receives the job so it can update
+// job.progress and check job.cancelled, and must write to job.filePath; it
+// may set job.recordDownload, which the download endpoint calls before
+// sending the file. createdBy is the id of the user who started it.
+function startJob({ format, params, fileName, createdBy = null, run }) {
+  const job = {
+    id: crypto.randomUUID(),
+    format,
+    params,
+    fileName,
+    createdBy,
+    status: 'running',
+    cancelled: false,
+    progress: { pagesFetched: 0, ordersFound: 0, ordersProcessed: 0, rowsWritten: 0 },
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    filePath: createTempFile(format)
+  };
+  jobs.set(job.id, job);
+
+  setImmediate(async () => {
+    try {
+      job.result = await run(job);
+      job.status = job.cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+      console.error(`Export job ${job.id} failed:`, error.message);
+      job.status = job.cancelled ? 'cancelled' : 'failed';
+      job.error = error.message;
+    }
+    job.finishedAt = new Date().toISOString();
+    if (job.status !== 'completed') {
+      removeFile(job.filePath);
+    }
+  });
+
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return false;
+  }
+  if (job.status === 'running') {
+    job.cancelled = true;
+  } else {
+    removeFile(job.filePath);
+    jobs.delete(id);
+  }
+  return true;
+}
+
+// Public view of a job, without the server-side file path
+function describeJob(job) {
+  const { filePath, cancelled, recordDownload, ...details } = job;
+  return {
+    ...details,
+    downloadUrl: job.status === 'completed' ? `/api/export-jobs/${job.id}/download` : null
+  };
+}
+
+// Drop finished jobs and their files once they expire
+setInterval(() => {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (job.finishedAt && now - new Date(job.finishedAt).getTime() > JOB_TTL_MS) {
+      removeFile(job.filePath);
+      jobs.delete(job.id);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  createTempFile,
+  removeFile,
+  startJob,
+  getJob,
+  cancelJob,
+  describeJob
+};
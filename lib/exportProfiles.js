@@ -0,0 +1,448 @@
+const fs = require('fs');
+const path = require('path');
+const mappings = require('./mappings');
+const { getNetQuantity } = require('./refunds');
+const { getCodAmount } = require('./payments');
+const { formatPhone, getShippingPhone } = require('./validation');
+const { formatTimestamp, toSpreadsheetDate } = require('./timezone');
+
+// Export profiles pick columns from the field catalog below, set their order
+// and titles, and can add constant or template columns. The WooCommerce
+// layout is the built-in default and "breakdown" a built-in order-level
+// layout; custom profiles are stored in a JSON file.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const PROFILES_FILE = path.join(DATA_DIR, 'export-profiles.json');
+const DEFAULT_PROFILE_NAME = 'woocommerce';
+
+function stripSpaces(value) {
+  return (value || '').replace(/\s/g, '');
+}
+
+function joinAddress(address) {
+  return `${address?.address1 || ''} ${address?.address2 || ''}`.trim();
+}
+
+// Shipping fields fall back to the billing address when there is none
+function shippingField(order, field) {
+  return order.shipping_address?.[field] || order.billing_address?.[field] || '';
+}
+
+// Timestamps in the timezone of the order's store
+function formatDate(timestamp, store) {
+  return formatTimestamp(timestamp, undefined, store?.timezone);
+}
+
+function formatAmount(amount) {
+  return amount.toFixed(2);
+}
+
+function lineTotal(lineItem, refundSummary) {
+  return parseFloat(lineItem.price || 0) * getNetQuantity(lineItem, refundSummary) - parseFloat(lineItem.total_discount || 0);
+}
+
+function sumLines(lineItems, amount) {
+  return lineItems.reduce((sum, lineItem) => sum + amount(lineItem), 0);
+}
+
+// Distinct non-empty values, comma separated
+function joinUnique(values) {
+  return [...new Set(values.filter(value => value !== undefined && value !== null && value !== ''))].join(', ');
+}
+
+// "2 x Almonds 250g; 1 x Cashews 250g"
+function summarizeItems({ lineItems, refundSummary }) {
+  return lineItems
+    .map(lineItem => `${getNetQuantity(lineItem, refundSummary)} x ${lineItem.name || lineItem.title}`)
+    .join('; ');
+}
+
+// "Standard Shipping: 50.00; Express: 20.00"
+function summarizeShippingLines(order) {
+  return (order.shipping_lines || [])
+    .map(line => `${line.title || 'Shipping'}: ${line.price || '0.00'}`)
+    .join('; ');
+}
+
+// Tax lines added up by title: "VAT 14%: 42.00"
+function summarizeTaxLines(order) {
+  const titles = new Map();
+  for (const line of order.tax_lines || []) {
+    const title = line.rate !== undefined && line.rate !== null
+      ? `${line.title} ${parseFloat((line.rate * 100).toFixed(4))}%`
+      : line.title;
+    titles.set(title, (titles.get(title) || 0) + parseFloat(line.price || 0));
+  }
+  return [...titles].map(([title, amount]) => `${title}: ${formatAmount(amount)}`).join('; ');
+}
+
+// "Kashier: 250.00; gift_card: 100.00 (refunded 20.00)"
+function summarizeGateways(paymentSummary) {
+  return (paymentSummary?.payments || [])
+    .map(payment => `${payment.gateway}: ${formatAmount(payment.captured)}${payment.refunded > 0 ? ` (refunded ${formatAmount(payment.refunded)})` : ''}`)
+    .join('; ');
+}
+
+// Every field an export column can show. value() receives
+// { order, lineItem, lineItems, refundSummary, paymentSummary, store }:
+// lineItem is the row's line item, lineItems the order's exported items.
+// Order-level exports have no lineItem, so line fields give summary() of
+// lineItems instead. Fields marked transactions need the order's payment
+// transactions in paymentSummary. type "amount" or "number" makes the
+// field a number cell in Excel files, and "date" a date cell with the
+// timestamp() it formats.
+const FIELDS = [
+  // Order
+  { id: 'order_number', label: 'Order Number', group: 'order', width: 15, value: ({ order }) => (order.name || order.id).toString().replace('#', '') },
+  { id: 'order_id', label: 'Order ID', group: 'order', width: 15, value: ({ order }) => order.id },
+  { id: 'order_status', label: 'Order Status', group: 'order', width: 12, value: ({ order }) => order.financial_status || 'pending' },
+  { id: 'fulfillment_status', label: 'Fulfillment Status', group: 'order', width: 15, value: ({ order }) => order.fulfillment_status || 'unfulfilled' },
+  { id: 'order_date', label: 'Order Date', group: 'order', width: 18, type: 'date', timestamp: ({ order }) => order.created_at, value: ({ order, store }) => formatDate(order.created_at, store) },
+  { id: 'paid_date', label: 'Paid Date', group: 'order', width: 18, type: 'date', timestamp: ({ order }) => order.processed_at, value: ({ order, store }) => formatDate(order.processed_at, store) },
+  { id: 'cancelled_date', label: 'Cancelled Date', group: 'order', width: 18, type: 'date', timestamp: ({ order }) => order.cancelled_at, value: ({ order, store }) => formatDate(order.cancelled_at, store) },
+  { id: 'store', label: 'Store', group: 'order', width: 18, value: ({ store }) => store?.name || '' },
+  { id: 'customer_note', label: 'Customer Note', group: 'order', width: 30, value: ({ order }) => order.note || '' },
+  { id: 'tags', label: 'Tags', group: 'order', width: 20, value: ({ order }) => order.tags || '' },
+  { id: 'currency', label: 'Currency', group: 'order', width: 10, value: ({ order }) => order.currency || '' },
+  { id: 'payment_method', label: 'Payment Method Title', group: 'order', width: 20, value: ({ order }) => order.payment_gateway_names?.join(', ') || 'Unknown' },
+  { id: 'shipping_method', label: 'Shipping Method Title', group: 'order', width: 20, value: ({ order }) => order.shipping_lines?.map(line => line.title).join(', ') || 'Standard' },
+  { id: 'coupon_code', label: 'Coupon Code', group: 'order', width: 15, value: ({ order }) => order.discount_codes?.map(dc => dc.code.replace(/\s/g, '')).join(',') || '' },
+  { id: 'cart_discount', label: 'Cart Discount Amount', group: 'order', width: 18, type: 'amount', value: ({ order }) => order.total_discounts || '0' },
+  { id: 'order_subtotal', label: 'Order Subtotal Amount', group: 'order', width: 18, type: 'amount', value: ({ order }) => order.subtotal_price || '0' },
+  { id: 'order_shipping', label: 'Order Shipping Amount', group: 'order', width: 18, type: 'amount', value: ({ order }) => order.total_shipping_price_set?.shop_money?.amount || order.total_shipping_price || '0' },
+  { id: 'order_refund', label: 'Order Refund Amount', group: 'order', width: 18, type: 'amount', value: ({ refundSummary }) => refundSummary?.refundAmount > 0 ? refundSummary.refundAmount.toFixed(2) : '0' },
+  { id: 'order_total', label: 'Order Total Amount', group: 'order', width: 18, type: 'amount', value: ({ order }) => order.total_price || '0' },
+  { id: 'order_tax', label: 'Order Total Tax Amount', group: 'order', width: 18, type: 'amount', value: ({ order }) => order.total_tax || '0' },
+  // What the courier should collect
+  { id: 'cod_amount', label: 'COD Amount', group: 'order', width: 15, type: 'amount', value: ({ order, refundSummary }) => formatAmount(getCodAmount(order, refundSummary)) },
+  { id: 'city_code', label: 'City Code', group: 'order', width: 12, value: ({ order }) => mappings.resolveCityCode(order) ?? stripSpaces(order.billing_address?.city) },
+  { id: 'carrier_code', label: 'Carrier Code', group: 'order', width: 12, value: ({ order }) => mappings.resolveCarrierCode(order) },
+  { id: 'line_item_count', label: 'Line Items', group: 'order', width: 10, type: 'number', value: ({ lineItems }) => lineItems.length },
+  { id: 'items_summary', label: 'Items', group: 'order', width: 50, value: summarizeItems },
+
+  // Payments, shipping and taxes
+  { id: 'payments', label: 'Payments', group: 'payment', width: 40, transactions: true, value: ({ paymentSummary }) => summarizeGateways(paymentSummary) },
+  { id: 'captured_amount', label: 'Captured Amount', group: 'payment', width: 15, type: 'amount', transactions: true, value: ({ paymentSummary }) => formatAmount(paymentSummary?.capturedAmount || 0) },
+  { id: 'gift_card_amount', label: 'Gift Card Amount', group: 'payment', width: 15, type: 'amount', transactions: true, value: ({ paymentSummary }) => formatAmount(paymentSummary?.giftCardAmount || 0) },
+  { id: 'shipping_lines', label: 'Shipping Lines', group: 'payment', width: 35, value: ({ order }) => summarizeShippingLines(order) },
+  { id: 'tax_lines', label: 'Tax Lines', group: 'payment', width: 30, value: ({ order }) => summarizeTaxLines(order) },
+
+  // Customer
+  { id: 'customer_id', label: 'Customer ID', group: 'customer', width: 15, value: ({ order }) => order.customer?.id || '' },
+  { id: 'customer_name', label: 'Customer Name', group: 'customer', width: 25, value: ({ order }) => `${shippingField(order, 'first_name')} ${shippingField(order, 'last_name')}`.trim() },
+  { id: 'customer_email', label: 'Customer Email', group: 'customer', width: 25, value: ({ order }) => order.customer?.email || order.email || '' },
+  { id: 'customer_orders_count', label: 'Customer Orders Count', group: 'customer', width: 12, type: 'number', value: ({ order }) => order.customer?.orders_count ?? '' },
+
+  // Billing address
+  { id: 'billing_first_name', label: 'First Name (Billing)', group: 'billing', width: 18, value: ({ order }) => order.billing_address?.first_name || '' },
+  { id: 'billing_last_name', label: 'Last Name (Billing)', group: 'billing', width: 18, value: ({ order }) => order.billing_address?.last_name || '' },
+  { id: 'billing_company', label: 'Company (Billing)', group: 'billing', width: 20, value: ({ order }) => order.billing_address?.company || '' },
+  { id: 'billing_address', label: 'Address 1&2 (Billing)', group: 'billing', width: 35, value: ({ order }) => joinAddress(order.billing_address) },
+  { id: 'billing_city', label: 'City (Billing)', group: 'billing', width: 18, value: ({ order }) => order.billing_address?.city || '' },
+  { id: 'billing_state_code', label: 'State Code (Billing)', group: 'billing', width: 15, value: ({ order }) => order.billing_address?.province_code || '' },
+  { id: 'billing_postcode', label: 'Postcode (Billing)', group: 'billing', width: 12, value: ({ order }) => stripSpaces(order.billing_address?.zip) },
+  { id: 'billing_country_code', label: 'Country Code (Billing)', group: 'billing', width: 15, value: ({ order }) => order.billing_address?.country_code || '' },
+  { id: 'billing_phone', label: 'Phone (Billing)', group: 'billing', width: 18, value: ({ order }) => formatPhone(order.billing_address?.phone || order.phone) },
+
+  // Shipping address
+  { id: 'shipping_first_name', label: 'First Name (Shipping)', group: 'shipping', width: 18, value: ({ order }) => shippingField(order, 'first_name') },
+  { id: 'shipping_last_name', label: 'Last Name (Shipping)', group: 'shipping', width: 18, value: ({ order }) => shippingField(order, 'last_name') },
+  { id: 'shipping_address', label: 'Address 1&2 (Shipping)', group: 'shipping', width: 35, value: ({ order }) => `${shippingField(order, 'address1')} ${shippingField(order, 'address2')}`.trim() },
+  { id: 'shipping_city', label: 'City (Shipping)', group: 'shipping', width: 18, value: ({ order }) => shippingField(order, 'city') },
+  { id: 'shipping_province', label: 'Province (Shipping)', group: 'shipping', width: 18, value: ({ order }) => shippingField(order, 'province') },
+  { id: 'shipping_state_code', label: 'State Code (Shipping)', group: 'shipping', width: 15, value: ({ order }) => shippingField(order, 'province_code') },
+  { id: 'shipping_postcode', label: 'Postcode (Shipping)', group: 'shipping', width: 12, value: ({ order }) => stripSpaces(shippingField(order, 'zip')) },
+  { id: 'shipping_country_code', label: 'Country Code (Shipping)', group: 'shipping', width: 15, value: ({ order }) => shippingField(order, 'country_code') },
+  { id: 'shipping_email', label: 'Email (Shipping)', group: 'shipping', width: 25, value: ({ order }) => order.shipping_address?.email || order.email || '' },
+  { id: 'shipping_phone', label: 'Phone (Shipping)', group: 'shipping', width: 18, value: ({ order }) => formatPhone(getShippingPhone(order)) },
+  {
+    id: 'shipping_full_address',
+    label: 'Full Address (Shipping)',
+    group: 'shipping',
+    width: 50,
+    value: ({ order }) => ['address1', 'address2', 'city', 'province']
+      .map(field => shippingField(order, field))
+      .filter(Boolean)
+      .join(', ')
+  },
+
+  // Line item
+  { id: 'sku', label: 'SKU', group: 'line', width: 20, value: ({ lineItem }) => lineItem.sku || '', summary: ({ lineItems }) => joinUnique(lineItems.map(lineItem => lineItem.sku)) },
+  { id: 'item_id', label: 'Item #', group: 'line', width: 15, value: ({ lineItem }) => lineItem.id, summary: ({ lineItems }) => lineItems.map(lineItem => lineItem.id).join(', ') },
+  { id: 'item_name', label: 'Item Name', group: 'line', width: 40, value: ({ lineItem }) => lineItem.name || lineItem.title, summary: summarizeItems },
+  { id: 'variant_title', label: 'Variant', group: 'line', width: 20, value: ({ lineItem }) => lineItem.variant_title || '', summary: ({ lineItems }) => joinUnique(lineItems.map(lineItem => lineItem.variant_title)) },
+  { id: 'vendor', label: 'Vendor', group: 'line', width: 18, value: ({ lineItem }) => lineItem.vendor || '', summary: ({ lineItems }) => joinUnique(lineItems.map(lineItem => lineItem.vendor)) },
+  {
+    id: 'ordered_quantity',
+    label: 'Ordered Quantity',
+    group: 'line',
+    width: 12,
+    type: 'number',
+    value: ({ lineItem }) => lineItem.quantity || 1,
+    summary: ({ lineItems }) => sumLines(lineItems, lineItem => lineItem.quantity || 1)
+  },
+  {
+    id: 'refunded_quantity',
+    label: 'Refunded Quantity',
+    group: 'line',
+    width: 12,
+    type: 'number',
+    value: ({ lineItem, refundSummary }) => refundSummary?.refundedQuantities[lineItem.id] || 0,
+    summary: ({ lineItems, refundSummary }) => sumLines(lineItems, lineItem => refundSummary?.refundedQuantities[lineItem.id] || 0)
+  },
+  {
+    id: 'quantity',
+    label: 'Quantity (- Refund)',
+    group: 'line',
+    width: 15,
+    type: 'number',
+    value: ({ lineItem, refundSummary }) => getNetQuantity(lineItem, refundSummary),
+    summary: ({ lineItems, refundSummary }) => sumLines(lineItems, lineItem => getNetQuantity(lineItem, refundSummary))
+  },
+  // A unit price doesn't add up across items
+  { id: 'item_cost', label: 'Item Cost', group: 'line', width: 12, type: 'amount', value: ({ lineItem }) => lineItem.price || '0', summary: () => '' },
+  {
+    id: 'line_total',
+    label: 'Line Total',
+    group: 'line',
+    width: 12,
+    type: 'amount',
+    value: ({ lineItem, refundSummary }) => formatAmount(lineTotal(lineItem, refundSummary)),
+    summary: ({ lineItems, refundSummary }) => formatAmount(sumLines(lineItems, lineItem => lineTotal(lineItem, refundSummary)))
+  },
+  {
+    id: 'discount_amount',
+    label: 'Discount Amount',
+    group: 'line',
+    width: 15,
+    type: 'amount',
+    value: ({ lineItem }) => lineItem.total_discount || '0',
+    summary: ({ lineItems }) => formatAmount(sumLines(lineItems, lineItem => parseFloat(lineItem.total_discount || 0)))
+  },
+  { id: 'discount_tax', label: 'Discount Amount Tax', group: 'line', width: 15, type: 'amount', value: () => '0', summary: () => '0' }
+];
+
+const FIELDS_BY_ID = Object.fromEntries(FIELDS.map(field => [field.id, field]));
+
+// Own keys only, so ids such as "constructor" aren't found on Object.prototype
+function isField(fieldId) {
+  return Object.hasOwn(FIELDS_BY_ID, fieldId);
+}
+
+// Same columns and order as WOO EXAMPLE.csv
+const WOOCOMMERCE_PROFILE = {
+  name: DEFAULT_PROFILE_NAME,
+  description: 'WooCommerce order export layout',
+  builtIn: true,
+  columns: [
+    'order_number', 'order_status', 'order_date', 'customer_note',
+    'billing_first_name', 'billing_last_name', 'billing_company', 'billing_address',
+    'billing_city', 'billing_state_code', 'billing_postcode', 'billing_country_code',
+    'shipping_email', 'paid_date', 'shipping_phone', 'billing_phone',
+    'shipping_first_name', 'shipping_last_name', 'shipping_address', 'shipping_city',
+    'shipping_state_code', 'shipping_postcode', 'shipping_country_code',
+    'payment_method', 'cart_discount', 'order_subtotal', 'shipping_method',
+    'order_shipping', 'order_refund', 'order_total', 'order_tax',
+    'sku', 'item_id', 'item_name', 'quantity', 'item_cost',
+    'coupon_code', 'discount_amount', 'discount_tax', 'city_code', 'carrier_code'
+  ].map(field => ({ field }))
+};
+
+// Order totals with every payment, shipping line and tax line spelled out,
+// meant for order-level exports
+const BREAKDOWN_PROFILE = {
+  name: 'breakdown',
+  description: 'Order totals with payment, shipping and tax breakdown',
+  builtIn: true,
+  columns: [
+    'order_number', 'order_date', 'order_status', 'fulfillment_status',
+    'customer_name', 'shipping_phone', 'shipping_city', 'line_item_count', 'quantity', 'items_summary',
+    'order_subtotal', 'cart_discount', 'coupon_code', 'order_shipping', 'shipping_lines',
+    'order_tax', 'tax_lines', 'order_total', 'payment_method', 'payments', 'captured_amount',
+    'gift_card_amount', 'order_refund', 'cod_amount'
+  ].map(field => ({ field }))
+};
+
+const BUILT_IN_PROFILES = [WOOCOMMERCE_PROFILE, BREAKDOWN_PROFILE];
+
+let cache = null;
+
+function loadProfiles() {
+  if (!cache) {
+    cache = fs.existsSync(PROFILES_FILE) ? JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8')) : {};
+  }
+  return cache;
+}
+
+function saveProfiles() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(PROFILES_FILE, JSON.stringify(cache, null, 2));
+}
+
+// A column is one of:
+//   { field: 'order_number', title?: 'Order #', width?: 15 }
+//   { constant: 'EG', title: 'Country' }
+//   { template: '{shipping_address}, {shipping_city}', title: 'Address' }
+function validateColumn(column, index) {
+  const where = `Column ${index + 1}`;
+  if (!column || typeof column !== 'object' || Array.isArray(column)) {
+    throw new Error(`${where}: must be an object with a field, template or constant`);
+  }
+  if (column.field !== undefined) {
+    if (!isField(column.field)) {
+      throw new Error(`${where}: unknown field "${column.field}"`);
+    }
+  } else if (column.template !== undefined) {
+    if (typeof column.template !== 'string') {
+      throw new Error(`${where}: template must be text`);
+    }
+    if (!column.title) {
+      throw new Error(`${where}: template columns need a title`);
+    }
+    for (const [, fieldId] of column.template.matchAll(/\{(\w+)\}/g)) {
+      if (!isField(fieldId)) {
+        throw new Error(`${where}: unknown field "${fieldId}" in template`);
+      }
+    }
+  } else if (column.constant !== undefined) {
+    if (!column.title) {
+      throw new Error(`${where}: constant columns need a title`);
+    }
+  } else {
+    throw new Error(`${where}: needs a field, template or constant`);
+  }
+  const validated = {};
+  for (const key of ['field', 'template', 'constant', 'title', 'width']) {
+    if (column[key] !== undefined) validated[key] = column[key];
+  }
+  return validated;
+}
+
+function validateProfile(name, data) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name || '')) {
+    throw new Error('Profile name may only contain letters, numbers, "-" and "_"');
+  }
+  if (name in Object.prototype) {
+    throw new Error(`"${name}" can't be used as a profile name`);
+  }
+  if (BUILT_IN_PROFILES.some(profile => profile.name === name)) {
+    throw new Error(`"${name}" is a built-in profile and can't be changed`);
+  }
+  if (!Array.isArray(data.columns) || data.columns.length === 0) {
+    throw new Error('Profile requires at least one column');
+  }
+  return {
+    name,
+    description: data.description || '',
+    columns: data.columns.map(validateColumn)
+  };
+}
+
+function listProfiles() {
+  return [...BUILT_IN_PROFILES, ...Object.values(loadProfiles())];
+}
+
+function getProfile(name) {
+  if (!name) {
+    return WOOCOMMERCE_PROFILE;
+  }
+  const profiles = loadProfiles();
+  return BUILT_IN_PROFILES.find(profile => profile.name === name) || (Object.hasOwn(profiles, name) ? profiles[name] : null);
+}
+
+function saveProfile(name, data) {
+  const profile = validateProfile(name, data);
+  loadProfiles()[name] = profile;
+  saveProfiles();
+  return profile;
+}
+
+function deleteProfile(name) {
+  const profiles = loadProfiles();
+  if (!Object.hasOwn(profiles, name)) {
+    return false;
+  }
+  delete profiles[name];
+  saveProfiles();
+  return true;
+}
+
+// Header title, width and cell type of every column of a profile. Only
+// field columns have a type; templates and constants are text.
+function getProfileColumns(profile) {
+  return profile.columns.map(column => {
+    const field = FIELDS_BY_ID[column.field];
+    return {
+      title: column.title || field?.label || column.field,
+      width: column.width || field?.width || 20,
+      type: field?.type
+    };
+  });
+}
+
+// Ids of the fields a profile reads, including those inside templates
+function getProfileFieldIds(profile) {
+  return profile.columns.flatMap(column => {
+    if (column.field !== undefined) {
+      return [column.field];
+    }
+    if (column.template !== undefined) {
+      return [...column.template.matchAll(/\{(\w+)\}/g)].map(([, fieldId]) => fieldId);
+    }
+    return [];
+  });
+}
+
+// Whether exporting with a profile needs the orders' payment transactions
+function usesTransactions(profile) {
+  return getProfileFieldIds(profile).some(fieldId => FIELDS_BY_ID[fieldId].transactions);
+}
+
+function fieldValue(fieldId, context) {
+  const field = FIELDS_BY_ID[fieldId];
+  return field.summary && !context.lineItem ? field.summary(context) : field.value(context);
+}
+
+// Value of a field for an Excel cell: a number for amounts and counts, a
+// Date in the store's timezone for dates, and null when there is none
+function typedFieldValue(fieldId, context) {
+  const field = FIELDS_BY_ID[fieldId];
+  if (field.type === 'date') {
+    return toSpreadsheetDate(field.timestamp(context), context.store?.timezone);
+  }
+  const value = fieldValue(fieldId, context);
+  if (field.type && value !== '' && value !== null && value !== undefined) {
+    return Number(value);
+  }
+  return field.type ? null : value;
+}
+
+// Values of one export row, in the profile's column order. Rows of
+// order-level exports leave lineItem out of the context. typed gives field
+// columns their typedFieldValue(), for Excel files.
+function buildRow(profile, context, { typed = false } = {}) {
+  return profile.columns.map(column => {
+    if (column.field !== undefined) {
+      return typed ? typedFieldValue(column.field, context) : fieldValue(column.field, context);
+    }
+    if (column.template !== undefined) {
+      return column.template.replace(/\{(\w+)\}/g, (_, fieldId) => fieldValue(fieldId, context) ?? '');
+    }
+    return column.constant;
+  });
+}
+
+function listFields() {
+  return FIELDS.map(({ id, label, group }) => ({ id, label, group }));
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  listFields,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  getProfileColumns,
+  usesTransactions,
+  buildRow
+};
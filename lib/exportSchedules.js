@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const { getTimezone } = require('./timezone');
+
+// Recurring exports. Schedules and their run history are kept in JSON files;
+// start(runner) registers a cron task per enabled schedule, evaluated in the
+// timezone of the schedule's store, and runner(schedule, run) does the
+// actual export.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SCHEDULES_FILE = path.join(DATA_DIR, 'export-schedules.json');
+const RUNS_FILE = path.join(DATA_DIR, 'export-runs.json');
+const MAX_RUNS = 200;
+
+const FORMATS = ['csv', 'xlsx'];
+const MODES = ['line_items', 'orders'];
+const DELIVERY_TYPES = ['email', 'folder'];
+
+// Date-range rules, as whole days in the shop timezone
+const RANGES = {
+  yesterday: today => [today.clone().subtract(1, 'day'), today.clone().subtract(1, 'day')],
+  last_7_days: today => [today.clone().subtract(7, 'days'), today.clone().subtract(1, 'day')],
+  month_to_date: today => [today.clone().startOf('month'), today.clone()]
+};
+
+let cache = null;
+let runsCache = null;
+const tasks = new Map();
+let runner = null;
+let onFailure = null;
+let timezoneOf = null;
+
+function generateId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function loadSchedules() {
+  if (!cache) {
+    cache = fs.existsSync(SCHEDULES_FILE) ? JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')) : [];
+  }
+  return cache;
+}
+
+function saveSchedules() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(SCHEDULES_FILE, JSON.stringify(cache, null, 2));
+}
+
+function loadRuns() {
+  if (!runsCache) {
+    runsCache = fs.existsSync(RUNS_FILE) ? JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8')) : [];
+  }
+  return runsCache;
+}
+
+function saveRuns() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(RUNS_FILE, JSON.stringify(runsCache, null, 2));
+}
+
+function splitList(value) {
+  const items = Array.isArray(value) ? value : (value || '').toString().split(',');
+  return items.map(item => item.toString().trim()).filter(Boolean);
+}
+
+// Check a schedule from the API and fill in defaults. validateFolder,
+// validateProfile and validateStore come from the caller, which knows where
+// drop folders may live and which export profiles and stores exist; they
+// throw when the value is invalid.
+function validateSchedule(data, { validateFolder, validateProfile, validateStore } = {}) {
+  const name = (data.name || '').toString().trim();
+  if (!name) {
+    throw new Error('Schedule requires a name');
+  }
+  if (!data.cron || !cron.validate(data.cron)) {
+    throw new Error(`Invalid cron expression "${data.cron || ''}"`);
+  }
+  const range = data.range || 'yesterday';
+  if (!RANGES[range]) {
+    throw new Error(`Range must be one of ${Object.keys(RANGES).join(', ')}`);
+  }
+  const format = data.format || 'xlsx';
+  if (!FORMATS.includes(format)) {
+    throw new Error('Format must be "csv" or "xlsx"');
+  }
+  const mode = data.mode || 'line_items';
+  if (!MODES.includes(mode)) {
+    throw new Error('Mode must be "line_items" or "orders"');
+  }
+
+  if (data.profile) {
+    validateProfile?.(data.profile);
+  }
+  // No store means the default store; "all" exports every store
+  if (data.store) {
+    validateStore?.(data.store);
+  }
+
+  const delivery = data.delivery || {};
+  if (!DELIVERY_TYPES.includes(delivery.type)) {
+    throw new Error('Delivery type must be "email" or "folder"');
+  }
+  const validatedDelivery = { type: delivery.type };
+  if (delivery.type === 'email') {
+    validatedDelivery.to = splitList(delivery.to);
+    if (validatedDelivery.to.length === 0) {
+      throw new Error('Email delivery requires at least one recipient');
+    }
+  } else {
+    validatedDelivery.folder = (delivery.folder || '').toString().trim();
+    validateFolder?.(validatedDelivery.folder);
+  }
+
+  return {
+    name,
+    cron: data.cron.toString().trim(),
+    range,
+    format,
+    status: data.status || 'any',
+    profile: data.profile || undefined,
+    mode,
+    store: data.store || undefined,
+    excludeRefundedItems: data.excludeRefundedItems === true,
+    onlyNew: data.onlyNew === true,
+    tagOrders: data.tagOrders === true,
+    destination: (data.destination || '').toString().trim() || undefined,
+    delivery: validatedDelivery,
+    enabled: data.enabled !== false
+  };
+}
+
+function listSchedules() {
+  return loadSchedules();
+}
+
+function getSchedule(id) {
+  return loadSchedules().find(schedule => schedule.id === id) || null;
+}
+
+function createSchedule(data, options) {
+  const schedule = { id: generateId(), ...validateSchedule(data, options), createdAt: new Date().toISOString() };
+  loadSchedules().push(schedule);
+  saveSchedules();
+  scheduleTask(schedule);
+  return schedule;
+}
+
+function updateSchedule(id, data, options) {
+  const schedule = getSchedule(id);
+  if (!schedule) {
+    return null;
+  }
+  Object.assign(schedule, validateSchedule({ ...schedule, ...data }, options));
+  saveSchedules();
+  scheduleTask(schedule);
+  return schedule;
+}
+
+function deleteSchedule(id) {
+  const schedules = loadSchedules();
+  const index = schedules.findIndex(schedule => schedule.id === id);
+  if (index === -1) {
+    return false;
+  }
+  schedules.splice(index, 1);
+  saveSchedules();
+  unscheduleTask(id);
+  return true;
+}
+
+// Timezone a schedule runs and picks its days in: its store's, as given to
+// start(), or the default one
+function getScheduleTimezone(schedule) {
+  return timezoneOf?.(schedule) || getTimezone();
+}
+
+// Start and end date (YYYY-MM-DD) of a range rule as of now, in timezone
+function resolveRange(range, timezone = getTimezone(), now = new Date()) {
+  const today = moment(now).tz(timezone).startOf('day');
+  const [start, end] = RANGES[range](today);
+  return { startDate: start.format('YYYY-MM-DD'), endDate: end.format('YYYY-MM-DD') };
+}
+
+function recordRun(run) {
+  const runs = loadRuns();
+  runs.unshift(run);
+  runs.splice(MAX_RUNS);
+  saveRuns();
+  return run;
+}
+
+function listRuns({ scheduleId, status, limit = 50 } = {}) {
+  return loadRuns()
+    .filter(run => (!scheduleId || run.scheduleId === scheduleId) && (!status || run.status === status))
+    .slice(0, limit);
+}
+
+// Run a schedule now and record the outcome. runner returns
+// { status, orderCount, rowCount, skippedOrders, validation, deliveredTo } and
+// throws on failure. Status "delivered" with an error means the file went
+// out but a step after that failed, so running it again would send it twice.
+async function runSchedule(schedule, trigger = 'manual') {
+  const timezone = getScheduleTimezone(schedule);
+  const run = {
+    id: generateId(),
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    trigger,
+    startedAt: new Date().toISOString(),
+    timezone,
+    ...resolveRange(schedule.range, timezone)
+  };
+  try {
+    if (!runner) {
+      throw new Error('The scheduler has not started yet');
+    }
+    Object.assign(run, await runner(schedule, run));
+  } catch (error) {
+    console.error(`Scheduled export "${schedule.name}" failed:`, error.message);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+  run.finishedAt = new Date().toISOString();
+  schedule.lastRun = { id: run.id, status: run.status, finishedAt: run.finishedAt };
+  saveSchedules();
+  recordRun(run);
+  if (run.error && onFailure) {
+    onFailure(schedule, run).catch(error => console.error('Export failure notification failed:', error.message));
+  }
+  return run;
+}
+
+function unscheduleTask(id) {
+  tasks.get(id)?.stop();
+  tasks.delete(id);
+}
+
+function scheduleTask(schedule) {
+  unscheduleTask(schedule.id);
+  if (!runner || !schedule.enabled) {
+    return;
+  }
+  tasks.set(schedule.id, cron.schedule(schedule.cron, () => {
+    runSchedule(schedule, 'schedule');
+  }, { timezone: getScheduleTimezone(schedule) }));
+}
+
+// Register cron tasks for every enabled schedule. notifyFailure(schedule, run)
+// is called after a run fails; getTimezone(schedule) gives the timezone of
+// the schedule's store.
+function start(run, { notifyFailure, getTimezone: getStoreTimezone } = {}) {
+  runner = run;
+  onFailure = notifyFailure || null;
+  timezoneOf = getStoreTimezone || null;
+  for (const schedule of loadSchedules()) {
+    scheduleTask(schedule);
+  }
+  console.log(`Export schedules: ${tasks.size} active`);
+}
+
+module.exports = {
+  RANGES: Object.keys(RANGES),
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  resolveRange,
+  runSchedule,
+  listRuns,
+  start
+};
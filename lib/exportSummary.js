@@ -0,0 +1,194 @@
+// Summary sheets of Excel exports: totals of the exported orders by day
+// (in the store's timezone), by payment method and by SKU. Entries are the
+// orders as exported, { store, order, refundSummary, lineItems }. Cancelled
+// orders are counted on the By Day sheet but left out of every amount, as
+// on the dashboard. Across stores each store gets its own rows, since
+// their currencies can differ.
+const { getNetQuantity } = require('./refunds');
+const { getCodAmount } = require('./payments');
+const { formatTimestamp } = require('./timezone');
+const { toAmount, round, getShippingAmount, getLineRevenue } = require('./analytics');
+
+const STORE_COLUMN = { title: 'Store', width: 18 };
+
+const DAY_COLUMNS = [
+  { title: 'Date', width: 12, type: 'day' },
+  { title: 'Orders', width: 10, type: 'number' },
+  { title: 'Cancelled', width: 10, type: 'number' },
+  { title: 'Items', width: 10, type: 'number' },
+  { title: 'Subtotal', width: 15, type: 'amount' },
+  { title: 'Discounts', width: 15, type: 'amount' },
+  { title: 'Shipping', width: 15, type: 'amount' },
+  { title: 'Tax', width: 15, type: 'amount' },
+  { title: 'Total', width: 15, type: 'amount' },
+  { title: 'Refunds', width: 15, type: 'amount' },
+  { title: 'Net Sales', width: 15, type: 'amount' },
+  { title: 'COD to Collect', width: 15, type: 'amount' }
+];
+
+const PAYMENT_METHOD_COLUMNS = [
+  { title: 'Payment Method', width: 30 },
+  { title: 'Orders', width: 10, type: 'number' },
+  { title: 'Total', width: 15, type: 'amount' },
+  { title: 'Refunds', width: 15, type: 'amount' },
+  { title: 'Net Sales', width: 15, type: 'amount' },
+  { title: 'COD to Collect', width: 15, type: 'amount' }
+];
+
+const SKU_COLUMNS = [
+  { title: 'SKU', width: 20 },
+  { title: 'Item Name', width: 40 },
+  { title: 'Orders', width: 10, type: 'number' },
+  { title: 'Quantity', width: 10, type: 'number' },
+  { title: 'Revenue', width: 15, type: 'amount' }
+];
+
+// Bucket of a key within a store, created with start() on first use
+function getBucket(buckets, store, key, start) {
+  const id = `${store.id}\n${key}`;
+  if (!buckets.has(id)) {
+    buckets.set(id, { store, ...start() });
+  }
+  return buckets.get(id);
+}
+
+// Rows of the buckets with the store in front across stores, sorted by compare
+function listRows(buckets, compare, toRow, byStore) {
+  return [...buckets.values()]
+    .sort((a, b) => (byStore ? a.store.name.localeCompare(b.store.name) : 0) || compare(a, b))
+    .map(bucket => [...(byStore ? [bucket.store.name] : []), ...toRow(bucket)]);
+}
+
+// Column sums for the last row; counts and amounts add up, anything else
+// is left blank
+function totalsRow(columns, rows) {
+  return columns.map((column, index) => {
+    if (index === 0) {
+      return 'Total';
+    }
+    if (column.type !== 'amount' && column.type !== 'number') {
+      return '';
+    }
+    return round(rows.reduce((sum, row) => sum + (row[index] || 0), 0));
+  });
+}
+
+function summarizeByDay(entries, byStore) {
+  const days = new Map();
+  for (const { store, order, refundSummary, lineItems } of entries) {
+    const date = formatTimestamp(order.created_at, 'YYYY-MM-DD', store.timezone);
+    const day = getBucket(days, store, date, () => ({
+      date,
+      orderCount: 0,
+      cancelledCount: 0,
+      items: 0,
+      subtotal: 0,
+      discounts: 0,
+      shipping: 0,
+      tax: 0,
+      total: 0,
+      refunds: 0,
+      cod: 0
+    }));
+    if (order.cancelled_at) {
+      day.cancelledCount++;
+      continue;
+    }
+    day.orderCount++;
+    day.items += lineItems.reduce((sum, lineItem) => sum + getNetQuantity(lineItem, refundSummary), 0);
+    day.subtotal += toAmount(order.subtotal_price);
+    day.discounts += toAmount(order.total_discounts);
+    day.shipping += getShippingAmount(order);
+    day.tax += toAmount(order.total_tax);
+    day.total += toAmount(order.total_price);
+    day.refunds += refundSummary.refundAmount;
+    day.cod += getCodAmount(order, refundSummary);
+  }
+  return listRows(days, (a, b) => a.date.localeCompare(b.date), day => [
+    // Midnight UTC, which Excel shows as the day itself
+    new Date(`${day.date}T00:00:00Z`),
+    day.orderCount,
+    day.cancelledCount,
+    day.items,
+    round(day.subtotal),
+    round(day.discounts),
+    round(day.shipping),
+    round(day.tax),
+    round(day.total),
+    round(day.refunds),
+    round(day.total - day.refunds),
+    round(day.cod)
+  ], byStore);
+}
+
+// Methods are the gateway names, as in the Payment Method Title column
+function summarizeByPaymentMethod(entries, byStore) {
+  const methods = new Map();
+  for (const { store, order, refundSummary } of entries) {
+    if (order.cancelled_at) continue;
+    const name = order.payment_gateway_names?.join(', ') || 'Unknown';
+    const method = getBucket(methods, store, name, () => ({ name, orderCount: 0, total: 0, refunds: 0, cod: 0 }));
+    method.orderCount++;
+    method.total += toAmount(order.total_price);
+    method.refunds += refundSummary.refundAmount;
+    method.cod += getCodAmount(order, refundSummary);
+  }
+  return listRows(methods, (a, b) => b.total - a.total, method => [
+    method.name,
+    method.orderCount,
+    round(method.total),
+    round(method.refunds),
+    round(method.total - method.refunds),
+    round(method.cod)
+  ], byStore);
+}
+
+// Quantities are what is left after refunds and revenue is net of line
+// discounts; items refunded completely are left out
+function summarizeBySku(entries, byStore) {
+  const skus = new Map();
+  for (const { store, order, refundSummary, lineItems } of entries) {
+    if (order.cancelled_at) continue;
+    for (const lineItem of lineItems) {
+      const quantity = getNetQuantity(lineItem, refundSummary);
+      if (quantity <= 0) continue;
+      const sku = getBucket(skus, store, lineItem.sku || lineItem.name, () => ({
+        sku: lineItem.sku || '',
+        name: lineItem.name || lineItem.title,
+        orders: new Set(),
+        quantity: 0,
+        revenue: 0
+      }));
+      sku.orders.add(order.id);
+      sku.quantity += quantity;
+      sku.revenue += getLineRevenue(lineItem, quantity);
+    }
+  }
+  return listRows(skus, (a, b) => b.revenue - a.revenue, sku => [
+    sku.sku,
+    sku.name,
+    sku.orders.size,
+    sku.quantity,
+    round(sku.revenue)
+  ], byStore);
+}
+
+// The summary sheets, each { name, columns, rows, totals }. byStore adds a
+// Store column in front, for exports across stores; their amounts are only
+// totalled when every store has the same currency.
+function buildSummarySheets(entries, { byStore = false } = {}) {
+  const prefix = byStore ? [STORE_COLUMN] : [];
+  const currencies = new Set(entries.map(({ store }) => store.currency));
+  return [
+    { name: 'By Day', columns: DAY_COLUMNS, rows: summarizeByDay(entries, byStore) },
+    { name: 'By Payment Method', columns: PAYMENT_METHOD_COLUMNS, rows: summarizeByPaymentMethod(entries, byStore) },
+    { name: 'By SKU', columns: SKU_COLUMNS, rows: summarizeBySku(entries, byStore) }
+  ].map(sheet => {
+    const columns = [...prefix, ...sheet.columns];
+    return { ...sheet, columns, totals: currencies.size <= 1 ? totalsRow(columns, sheet.rows) : null };
+  });
+}
+
+module.exports = {
+  buildSummarySheets
+};
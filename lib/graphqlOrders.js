@@ -0,0 +1,448 @@
+const axios = require('axios');
+const readline = require('readline');
+
+// Orders from the GraphQL Admin API, rebuilt into the orders.json (REST)
+// shape that the order store, export profiles and analytics work with. Only
+// the fields those read are requested.
+//
+// Ranges are read page by page with the orders query, or for large ranges
+// with a bulk operation: Shopify runs the query in the background and hands
+// back a JSONL file in which the nodes of nested connections (line items and
+// shipping lines) are lines of their own, pointing at their parent through
+// __parentId. Bulk queries can't hold connections inside a list field such
+// as refunds, so there only refund ids are read and each refunded order's
+// refunds are fetched with a query of their own.
+
+// Nested page sizes keep an orders page under the 1000 point query cost limit
+const ORDERS_PAGE_SIZE = 10;
+const LINE_ITEMS_PAGE_SIZE = 30;
+const BULK_POLL_INTERVAL_MS = parseInt(process.env.SHOPIFY_BULK_POLL_MS || '3000', 10);
+const BULK_FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+// Clients with a bulk operation of ours running. Shopify runs one bulk query
+// per shop and app at a time.
+const bulkClients = new WeakSet();
+
+const MONEY = 'shopMoney { amount currencyCode }';
+const ADDRESS = 'firstName lastName company address1 address2 city province provinceCode zip country countryCodeV2 phone';
+const DISCOUNT_ALLOCATIONS = `discountAllocations { allocatedAmountSet { ${MONEY} } discountApplication { ... on DiscountCodeApplication { code } } }`;
+const LINE_ITEM_FIELDS = `id sku name title variantTitle vendor quantity originalUnitPriceSet { ${MONEY} } ${DISCOUNT_ALLOCATIONS}`;
+
+// Connection a bulk result line belongs to, by the __typename of its node
+const CONNECTIONS = {
+  LineItem: 'lineItems',
+  ShippingLine: 'shippingLines'
+};
+
+const FULFILLMENT_STATUSES = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked'
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Bulk queries are paged by Shopify, so their connections take no page size
+function connection(name, size, fields, bulk) {
+  const node = `edges { node { __typename ${fields} } }`;
+  return bulk ? `${name} { ${node} }` : `${name}(first: ${size}) { ${node} pageInfo { hasNextPage endCursor } }`;
+}
+
+// Refund lines, money sent back and order adjustments (shipping refunds
+// show up only as the latter when no money went back)
+const REFUND_FIELDS = `
+  id createdAt
+  ${connection('refundLineItems', 30, `quantity lineItem { id } subtotalSet { ${MONEY} } totalTaxSet { ${MONEY} }`)}
+  ${connection('transactions', 10, `kind status amountSet { ${MONEY} }`)}
+  ${connection('orderAdjustments', 10, `reason amountSet { ${MONEY} } taxAmountSet { ${MONEY} }`)}`;
+
+function orderFields(bulk) {
+  return `
+    id legacyResourceId name email phone note tags
+    createdAt updatedAt processedAt closedAt cancelledAt
+    displayFinancialStatus displayFulfillmentStatus currencyCode paymentGatewayNames discountCodes
+    subtotalPriceSet { ${MONEY} } totalPriceSet { ${MONEY} } totalTaxSet { ${MONEY} }
+    totalDiscountsSet { ${MONEY} } totalShippingPriceSet { ${MONEY} } totalOutstandingSet { ${MONEY} }
+    customer { id firstName lastName email phone numberOfOrders }
+    billingAddress { ${ADDRESS} }
+    shippingAddress { ${ADDRESS} }
+    taxLines { title rate priceSet { ${MONEY} } }
+    transactions(first: 50) { id gateway kind status amountSet { ${MONEY} } }
+    ${connection('shippingLines', 5, `id title originalPriceSet { ${MONEY} } ${DISCOUNT_ALLOCATIONS}`, bulk)}
+    ${connection('lineItems', LINE_ITEMS_PAGE_SIZE, LINE_ITEM_FIELDS, bulk)}
+    refunds { ${bulk ? 'id' : REFUND_FIELDS} }`;
+}
+
+const ORDERS_QUERY = `query Orders($first: Int!, $after: String, $query: String, $sortKey: OrderSortKeys, $reverse: Boolean) {
+  orders(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
+    edges { node { ${orderFields(false)} } }
+    pageInfo { hasNextPage endCursor }
+  }
+}`;
+
+const ORDER_QUERY = `query Order($id: ID!) {
+  order(id: $id) { ${orderFields(false)} }
+}`;
+
+const LINE_ITEMS_QUERY = `query OrderLineItems($id: ID!, $after: String) {
+  order(id: $id) {
+    lineItems(first: 100, after: $after) {
+      edges { node { __typename ${LINE_ITEM_FIELDS} } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+}`;
+
+const REFUNDS_QUERY = `query OrderRefunds($id: ID!) {
+  order(id: $id) { refunds { ${REFUND_FIELDS} } }
+}`;
+
+const RUN_BULK_QUERY = `mutation RunBulkQuery($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation { id status }
+    userErrors { field message }
+  }
+}`;
+
+const BULK_OPERATION_QUERY = `query BulkOperation($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation { id status errorCode objectCount url }
+  }
+}`;
+
+// Filters as an orders search query, e.g. created_at:>='2024-01-01T00:00:00.000Z'
+function buildSearchQuery({ createdAtMin, createdAtMax, updatedAtMin, status }) {
+  const terms = [];
+  if (createdAtMin) terms.push(`created_at:>='${new Date(createdAtMin).toISOString()}'`);
+  if (createdAtMax) terms.push(`created_at:<='${new Date(createdAtMax).toISOString()}'`);
+  if (updatedAtMin) terms.push(`updated_at:>='${new Date(updatedAtMin).toISOString()}'`);
+  if (status === 'open') terms.push('status:open');
+  if (status === 'closed' || status === 'archived') terms.push('status:closed');
+  if (status === 'cancelled') terms.push('status:cancelled');
+  return terms.join(' ');
+}
+
+// "updated_at asc" / "created_at desc", as orders.json takes it
+function parseSortOrder(order = 'created_at desc') {
+  const [field, direction] = order.split(' ');
+  return { field, sortKey: field.toUpperCase(), reverse: direction === 'desc' };
+}
+
+function gidToId(gid) {
+  return gid ? Number(gid.split('/').pop()) : null;
+}
+
+function money(set) {
+  return set?.shopMoney ? parseFloat(set.shopMoney.amount).toFixed(2) : undefined;
+}
+
+function nodes(connection) {
+  return (connection?.edges || []).map(edge => edge.node);
+}
+
+// orders.json has shipping refunds as negative adjustments; GraphQL may
+// give the amount as a positive one, so their sign is set here
+function toRestAdjustment(adjustment) {
+  const kind = adjustment.reason?.toLowerCase() || null;
+  const signed = set => {
+    const amount = money(set) || '0.00';
+    return kind === 'shipping_refund' ? (-Math.abs(parseFloat(amount))).toFixed(2) : amount;
+  };
+  return { kind, amount: signed(adjustment.amountSet), tax_amount: signed(adjustment.taxAmountSet) };
+}
+
+function toRestAddress(address) {
+  if (!address) {
+    return null;
+  }
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    zip: address.zip,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    phone: address.phone
+  };
+}
+
+// An order node (with its connections filled in) in the orders.json shape
+function toRestOrder(order) {
+  // Discount code amounts are added up from what each code took off the
+  // line items and shipping lines
+  const codeAmounts = new Map((order.discountCodes || []).map(code => [code, 0]));
+  const allocate = allocations => {
+    let total = 0;
+    for (const allocation of allocations || []) {
+      const amount = parseFloat(allocation.allocatedAmountSet.shopMoney.amount);
+      total += amount;
+      const code = allocation.discountApplication?.code;
+      if (code) {
+        codeAmounts.set(code, (codeAmounts.get(code) || 0) + amount);
+      }
+    }
+    return total.toFixed(2);
+  };
+
+  const lineItems = nodes(order.lineItems).map(item => ({
+    id: gidToId(item.id),
+    sku: item.sku || '',
+    name: item.name,
+    title: item.title,
+    variant_title: item.variantTitle,
+    vendor: item.vendor,
+    quantity: item.quantity,
+    price: money(item.originalUnitPriceSet),
+    total_discount: allocate(item.discountAllocations)
+  }));
+  const shippingLines = nodes(order.shippingLines).map(line => {
+    allocate(line.discountAllocations);
+    return { id: gidToId(line.id), title: line.title, price: money(line.originalPriceSet) };
+  });
+
+  return {
+    id: Number(order.legacyResourceId),
+    admin_graphql_api_id: order.id,
+    name: order.name,
+    // orders.json's number without the prefix, for the usual "#1001" names
+    order_number: parseInt((order.name || '').replace(/\D/g, ''), 10) || null,
+    email: order.email,
+    phone: order.phone,
+    note: order.note,
+    tags: (order.tags || []).join(', '),
+    created_at: order.createdAt,
+    updated_at: order.updatedAt,
+    processed_at: order.processedAt,
+    closed_at: order.closedAt,
+    cancelled_at: order.cancelledAt,
+    financial_status: order.displayFinancialStatus?.toLowerCase() || null,
+    fulfillment_status: FULFILLMENT_STATUSES[order.displayFulfillmentStatus] || null,
+    currency: order.currencyCode,
+    payment_gateway_names: order.paymentGatewayNames || [],
+    subtotal_price: money(order.subtotalPriceSet),
+    total_price: money(order.totalPriceSet),
+    total_tax: money(order.totalTaxSet),
+    total_discounts: money(order.totalDiscountsSet),
+    total_outstanding: money(order.totalOutstandingSet),
+    total_shipping_price_set: order.totalShippingPriceSet
+      ? { shop_money: { amount: money(order.totalShippingPriceSet), currency_code: order.totalShippingPriceSet.shopMoney.currencyCode } }
+      : undefined,
+    discount_codes: [...codeAmounts].map(([code, amount]) => ({ code, amount: amount.toFixed(2) })),
+    customer: order.customer
+      ? {
+        id: gidToId(order.customer.id),
+        first_name: order.customer.firstName,
+        last_name: order.customer.lastName,
+        email: order.customer.email,
+        phone: order.customer.phone,
+        orders_count: order.customer.numberOfOrders !== undefined ? Number(order.customer.numberOfOrders) : undefined
+      }
+      : null,
+    billing_address: toRestAddress(order.billingAddress),
+    shipping_address: toRestAddress(order.shippingAddress),
+    shipping_lines: shippingLines,
+    tax_lines: (order.taxLines || []).map(line => ({ title: line.title, rate: line.rate, price: money(line.priceSet) })),
+    line_items: lineItems,
+    // Not part of orders.json, which needs a transactions.json call per order
+    transactions: (order.transactions || []).map(transaction => ({
+      id: gidToId(transaction.id),
+      gateway: transaction.gateway,
+      kind: transaction.kind.toLowerCase(),
+      status: transaction.status.toLowerCase(),
+      amount: money(transaction.amountSet)
+    })),
+    refunds: (order.refunds || []).map(refund => ({
+      id: gidToId(refund.id),
+      created_at: refund.createdAt,
+      refund_line_items: nodes(refund.refundLineItems).map(item => ({
+        line_item_id: gidToId(item.lineItem?.id),
+        quantity: item.quantity,
+        subtotal: money(item.subtotalSet),
+        total_tax: money(item.totalTaxSet)
+      })),
+      transactions: nodes(refund.transactions).map(transaction => ({
+        kind: transaction.kind.toLowerCase(),
+        status: transaction.status.toLowerCase(),
+        amount: money(transaction.amountSet)
+      })),
+      order_adjustments: nodes(refund.orderAdjustments).map(toRestAdjustment)
+    }))
+  };
+}
+
+// An orders page holds the first LINE_ITEMS_PAGE_SIZE items of each order;
+// fetch the rest of a larger order
+async function loadRemainingLineItems(client, order) {
+  let pageInfo = order.lineItems.pageInfo;
+  while (pageInfo?.hasNextPage) {
+    const data = await client.graphql(LINE_ITEMS_QUERY, { id: order.id, after: pageInfo.endCursor });
+    order.lineItems.edges.push(...data.order.lineItems.edges);
+    pageInfo = data.order.lineItems.pageInfo;
+  }
+}
+
+function warnTruncated(order) {
+  for (const refund of order.refunds || []) {
+    if (['refundLineItems', 'transactions', 'orderAdjustments'].some(field => refund[field]?.pageInfo?.hasNextPage)) {
+      console.warn(`Order ${order.name}: refund ${refund.id} has more lines than were fetched`);
+    }
+  }
+}
+
+// Fetch the orders matching filters ({ createdAtMin, createdAtMax,
+// updatedAtMin, status, order }) page by page, handing each page to onPage.
+// Resolves with the number of orders fetched.
+async function fetchOrders(client, filters, { onPage, maxOrders = Infinity, label = 'graphql' } = {}) {
+  const { sortKey, reverse } = parseSortOrder(filters.order);
+  const variables = { first: ORDERS_PAGE_SIZE, query: buildSearchQuery(filters), sortKey, reverse };
+  let after = null;
+  let fetchedCount = 0;
+  let pageCount = 0;
+
+  do {
+    const data = await client.graphql(ORDERS_QUERY, { ...variables, after });
+    const orders = [];
+    for (const order of nodes(data.orders)) {
+      await loadRemainingLineItems(client, order);
+      warnTruncated(order);
+      orders.push(toRestOrder(order));
+    }
+    pageCount++;
+    fetchedCount += orders.length;
+    console.log(`[${label}] GraphQL page ${pageCount}: Fetched ${orders.length} orders, total so far: ${fetchedCount}`);
+    await onPage(orders);
+
+    const { pageInfo } = data.orders;
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after && fetchedCount < maxOrders);
+
+  if (after) {
+    console.warn(`⚠️ Stopped after ${fetchedCount} orders (limit ${maxOrders})`);
+  }
+  return fetchedCount;
+}
+
+// Read a bulk operation's JSONL result and put the nested connection nodes
+// back under their parents
+async function readBulkResult(url) {
+  const response = await axios.get(url, { responseType: 'stream' });
+  const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+  const orders = [];
+  const parents = new Map();
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    const record = JSON.parse(line);
+    if (!record.__parentId) {
+      orders.push(record);
+      parents.set(record.id, record);
+      continue;
+    }
+    const parent = parents.get(record.__parentId);
+    const field = CONNECTIONS[record.__typename];
+    if (!parent || !field) {
+      throw new Error(`Bulk result line ${lineNumber}: unexpected ${record.__typename} under ${record.__parentId}`);
+    }
+    parent[field] = parent[field] || { edges: [] };
+    parent[field].edges.push({ node: record });
+  }
+  return orders;
+}
+
+// Fetch the orders matching filters with a bulk operation and hand them to
+// onPage pageSize at a time, sorted the way filters.order asks. Only one bulk
+// query can run per shop and app, so while one is running (ours, or one
+// Shopify reports) the orders are paged through with fetchOrders instead.
+async function bulkFetchOrders(client, filters, { onPage, pageSize = 250, label = 'graphql' } = {}) {
+  if (bulkClients.has(client)) {
+    console.log(`[${label}] A bulk operation is already running for this shop, fetching page by page`);
+    return fetchOrders(client, filters, { onPage, label });
+  }
+  bulkClients.add(client);
+  try {
+    return await runBulkFetch(client, filters, { onPage, pageSize, label });
+  } finally {
+    bulkClients.delete(client);
+  }
+}
+
+async function runBulkFetch(client, filters, { onPage, pageSize, label }) {
+  const { field, sortKey, reverse } = parseSortOrder(filters.order);
+  const query = `{
+    orders(query: ${JSON.stringify(buildSearchQuery(filters))}, sortKey: ${sortKey}, reverse: ${reverse}) {
+      edges { node { ${orderFields(true)} } }
+    }
+  }`;
+
+  const { bulkOperationRunQuery: started } = await client.graphql(RUN_BULK_QUERY, { query });
+  if (started.userErrors.some(error => /already in progress/i.test(error.message))) {
+    console.log(`[${label}] Shopify has a bulk operation running for this shop, fetching page by page`);
+    return fetchOrders(client, filters, { onPage, label });
+  }
+  if (started.userErrors.length > 0) {
+    throw new Error(`Shopify refused the bulk query: ${started.userErrors.map(error => error.message).join('; ')}`);
+  }
+  let operation = started.bulkOperation;
+  console.log(`[${label}] Bulk operation ${operation.id} started`);
+
+  while (!BULK_FINISHED_STATUSES.includes(operation.status)) {
+    await sleep(BULK_POLL_INTERVAL_MS);
+    operation = (await client.graphql(BULK_OPERATION_QUERY, { id: operation.id })).node;
+    console.log(`[${label}] Bulk operation ${operation.status.toLowerCase()}, ${operation.objectCount || 0} objects`);
+  }
+  if (operation.status !== 'COMPLETED') {
+    throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+  }
+  // No url means nothing matched
+  if (!operation.url) {
+    return 0;
+  }
+
+  // Only refund ids come back; orders with refunds are few, so theirs are
+  // fetched one order at a time
+  const results = await readBulkResult(operation.url);
+  for (const order of results) {
+    if (order.refunds?.length > 0) {
+      order.refunds = (await client.graphql(REFUNDS_QUERY, { id: order.id })).order.refunds;
+    }
+  }
+  const orders = results.map(order => {
+    warnTruncated(order);
+    return toRestOrder(order);
+  });
+  const direction = reverse ? -1 : 1;
+  orders.sort((a, b) => direction * (new Date(a[field]) - new Date(b[field])));
+  console.log(`[${label}] Bulk operation returned ${orders.length} orders`);
+
+  for (let i = 0; i < orders.length; i += pageSize) {
+    await onPage(orders.slice(i, i + pageSize));
+  }
+  return orders.length;
+}
+
+// One order by its numeric id, or null when there is none
+async function fetchOrder(client, id) {
+  const data = await client.graphql(ORDER_QUERY, { id: `gid://shopify/Order/${id}` });
+  if (!data.order) {
+    return null;
+  }
+  await loadRemainingLineItems(client, data.order);
+  return toRestOrder(data.order);
+}
+
+module.exports = {
+  buildSearchQuery,
+  toRestOrder,
+  fetchOrders,
+  bulkFetchOrders,
+  fetchOrder
+};
@@ -0,0 +1,42 @@
+// Server-Sent Events for connected dashboards. Each client keeps one
+// long-lived response open; events are written to every client as they happen.
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+
+// Take over the response and keep it open until the client disconnects
+function subscribe(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  clients.add(res);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+function broadcast(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients) {
+    res.write(message);
+  }
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  subscribe,
+  broadcast,
+  clientCount
+};
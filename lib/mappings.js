@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mapping tables are kept in a JSON file so they can be edited from the
+// dashboard and survive restarts
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const MAPPINGS_FILE = path.join(DATA_DIR, 'mappings.json');
+
+// Egyptian governorates keyed by their Shopify province code. The default
+// courier code is the English name without spaces, which is what the
+// "City Code" column used to contain.
+const DEFAULT_CITIES = [
+  { province: 'C', names: ['Cairo', 'القاهرة', 'Kairo', 'El Qahira'] },
+  { province: 'GZ', names: ['Giza', 'الجيزة', 'Gizeh', 'El Giza'] },
+  { province: 'ALX', names: ['Alexandria', 'الإسكندرية', 'Alex', 'Iskandariya'] },
+  { province: 'KB', names: ['Qalyubia', 'القليوبية', 'Kalyubia', 'Qaliubiya'] },
+  { province: 'DK', names: ['Dakahlia', 'الدقهلية', 'Daqahlia', 'Mansoura'] },
+  { province: 'SHR', names: ['Sharqia', 'الشرقية', 'Sharkia', 'Zagazig'] },
+  { province: 'GH', names: ['Gharbia', 'الغربية', 'Gharbiya', 'Tanta'] },
+  { province: 'MNF', names: ['Monufia', 'المنوفية', 'Menoufia', 'Menofia'] },
+  { province: 'BH', names: ['Beheira', 'البحيرة', 'Behera', 'Damanhour'] },
+  { province: 'KFS', names: ['Kafr El Sheikh', 'كفر الشيخ', 'Kafr Elsheikh'] },
+  { province: 'DT', names: ['Damietta', 'دمياط', 'Dumyat'] },
+  { province: 'PTS', names: ['Port Said', 'بورسعيد', 'Portsaid'] },
+  { province: 'IS', names: ['Ismailia', 'الإسماعيلية', 'Ismailiya'] },
+  { province: 'SUZ', names: ['Suez', 'السويس'] },
+  { province: 'FYM', names: ['Faiyum', 'الفيوم', 'Fayoum', 'Fayum'] },
+  { province: 'BNS', names: ['Beni Suef', 'بني سويف', 'Bani Sweif'] },
+  { province: 'MN', names: ['Minya', 'المنيا', 'Menia', 'Al Minya'] },
+  { province: 'AST', names: ['Asyut', 'أسيوط', 'Assiut', 'Assuit'] },
+  { province: 'SHG', names: ['Sohag', 'سوهاج', 'Suhag'] },
+  { province: 'KN', names: ['Qena', 'قنا', 'Kena'] },
+  { province: 'LX', names: ['Luxor', 'الأقصر', 'Loxor'] },
+  { province: 'ASN', names: ['Aswan', 'أسوان'] },
+  { province: 'BA', names: ['Red Sea', 'البحر الأحمر', 'Hurghada'] },
+  { province: 'WAD', names: ['New Valley', 'الوادي الجديد', 'El Wadi El Gedid'] },
+  { province: 'MT', names: ['Matrouh', 'مطروح', 'Marsa Matrouh'] },
+  { province: 'SIN', names: ['North Sinai', 'شمال سيناء', 'Arish'] },
+  { province: 'JS', names: ['South Sinai', 'جنوب سيناء', 'Sharm El Sheikh'] },
+  { province: 'SU', names: ['6th of October', 'السادس من أكتوبر', '6 October', 'October'] },
+  { province: 'HU', names: ['Helwan', 'حلوان'] }
+];
+
+let cache = null;
+
+function generateId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function defaultMappings() {
+  return {
+    cities: DEFAULT_CITIES.map(city => ({
+      id: generateId(),
+      code: city.names[0].replace(/\s/g, ''),
+      names: [...city.names, city.province]
+    })),
+    carriers: [],
+    defaultCarrierCode: ''
+  };
+}
+
+function loadMappings() {
+  if (cache) {
+    return cache;
+  }
+  if (fs.existsSync(MAPPINGS_FILE)) {
+    cache = JSON.parse(fs.readFileSync(MAPPINGS_FILE, 'utf8'));
+  } else {
+    cache = defaultMappings();
+    saveMappings();
+  }
+  return cache;
+}
+
+function saveMappings() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(MAPPINGS_FILE, JSON.stringify(cache, null, 2));
+}
+
+// Normalize a city/province name so that casing, Arabic letter variants,
+// diacritics and "governorate" suffixes don't prevent a match
+function normalizeName(name) {
+  return (name || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/\b(governorate|gov|city)\b|محافظه|مدينه/g, '')
+    .trim()
+    .replace(/^(el|al)[\s-]+|^ال/, '')
+    .replace(/[^a-z0-9\u0600-\u06FF]/g, '');
+}
+
+// Edit distance between two short strings, used to tolerate typos
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function findCity(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) {
+    return null;
+  }
+  const { cities } = loadMappings();
+  const exact = cities.find(city => city.names.some(n => normalizeName(n) === normalized));
+  if (exact) {
+    return exact;
+  }
+  // Allow a single typo on names long enough for that to be unambiguous
+  if (normalized.length >= 5) {
+    return cities.find(city => city.names.some(n => {
+      const candidate = normalizeName(n);
+      return candidate.length >= 5 && levenshtein(candidate, normalized) <= 1;
+    })) || null;
+  }
+  return null;
+}
+
+// Resolve the courier city code of an order from its shipping (or billing)
+// city, then province name, then province code. Returns null when unmapped.
+function resolveCityCode(order) {
+  const address = order.shipping_address || order.billing_address || {};
+  const candidates = [address.city, address.province, address.province_code];
+  for (const candidate of candidates) {
+    const city = findCity(candidate);
+    if (city) {
+      return city.code;
+    }
+  }
+  return null;
+}
+
+// Resolve the carrier code from the order's shipping line titles or tags,
+// using the first rule that matches
+function resolveCarrierCode(order) {
+  const { carriers, defaultCarrierCode } = loadMappings();
+  const shippingTitles = (order.shipping_lines || []).map(line => (line.title || '').toLowerCase());
+  const tags = (order.tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+  for (const carrier of carriers) {
+    const pattern = (carrier.pattern || '').toLowerCase();
+    if (!pattern) continue;
+    if (carrier.source === 'tag' ? tags.includes(pattern) : shippingTitles.some(title => title.includes(pattern))) {
+      return carrier.code;
+    }
+  }
+  return defaultCarrierCode || '';
+}
+
+function validateCity(data) {
+  const names = Array.isArray(data.names) ? data.names.map(n => n.toString().trim()).filter(Boolean) : [];
+  if (!data.code || names.length === 0) {
+    throw new Error('City mapping requires a code and at least one name');
+  }
+  return { code: data.code.toString().trim(), names };
+}
+
+function validateCarrier(data) {
+  if (!data.code || !data.pattern) {
+    throw new Error('Carrier mapping requires a code and a pattern');
+  }
+  if (data.source && !['shipping_title', 'tag'].includes(data.source)) {
+    throw new Error('Carrier source must be "shipping_title" or "tag"');
+  }
+  return {
+    code: data.code.toString().trim(),
+    pattern: data.pattern.toString().trim(),
+    source: data.source || 'shipping_title'
+  };
+}
+
+const validators = { cities: validateCity, carriers: validateCarrier };
+
+function listEntries(table) {
+  return loadMappings()[table];
+}
+
+function addEntry(table, data) {
+  const entry = { id: generateId(), ...validators[table](data) };
+  loadMappings()[table].push(entry);
+  saveMappings();
+  return entry;
+}
+
+function updateEntry(table, id, data) {
+  const entries = loadMappings()[table];
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) {
+    return null;
+  }
+  entries[index] = { id, ...validators[table]({ ...entries[index], ...data }) };
+  saveMappings();
+  return entries[index];
+}
+
+function removeEntry(table, id) {
+  const entries = loadMappings()[table];
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) {
+    return false;
+  }
+  entries.splice(index, 1);
+  saveMappings();
+  return true;
+}
+
+function setDefaultCarrierCode(code) {
+  loadMappings().defaultCarrierCode = (code || '').toString().trim();
+  saveMappings();
+}
+
+// List the cities of the given orders that no mapping resolves, with how
+// many orders use each one
+function findUnmappedCities(orders) {
+  const unmapped = {};
+  for (const order of orders) {
+    if (resolveCityCode(order) !== null) continue;
+    const address = order.shipping_address || order.billing_address || {};
+    const key = `${address.city || ''}|${address.province || ''}`;
+    if (!unmapped[key]) {
+      unmapped[key] = { city: address.city || '', province: address.province || '', provinceCode: address.province_code || '', count: 0, orders: [] };
+    }
+    unmapped[key].count++;
+    if (unmapped[key].orders.length < 10) {
+      unmapped[key].orders.push(order.name);
+    }
+  }
+  return Object.values(unmapped).sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  resolveCityCode,
+  resolveCarrierCode,
+  listEntries,
+  addEntry,
+  updateEntry,
+  removeEntry,
+  setDefaultCarrierCode,
+  getDefaultCarrierCode: () => loadMappings().defaultCarrierCode,
+  findUnmappedCities
+};
@@ -0,0 +1,212 @@
+// Filtering, sorting, paging and trimming of orders for the dashboard API
+const { formatTimestamp } = require('./timezone');
+const { toLatinDigits } = require('./validation');
+
+const MAX_PAGE_SIZE = 250;
+
+// Same classification as the dashboard's payment method badge
+function classifyPaymentMethod(order) {
+  let gateway = order.payment_gateway_names?.[0] ||
+    order.gateway ||
+    order.processing_method ||
+    'Manual Payment';
+  if (gateway === 'manual' || gateway === '') {
+    gateway = 'Manual Payment';
+  }
+
+  const gatewayLower = gateway.toLowerCase();
+  if (gatewayLower.includes('cash') || gatewayLower.includes('cod')) {
+    return 'cod';
+  } else if (gatewayLower.includes('kashier')) {
+    return 'kashier';
+  } else if (gatewayLower.includes('manual')) {
+    return 'manual';
+  }
+  return 'other';
+}
+
+function getCustomerName(order) {
+  return [
+    order.customer?.first_name || order.shipping_address?.first_name || '',
+    order.customer?.last_name || order.shipping_address?.last_name || ''
+  ].filter(Boolean).join(' ');
+}
+
+function getPhones(order) {
+  return [order.customer?.phone, order.phone, order.shipping_address?.phone, order.billing_address?.phone].filter(Boolean);
+}
+
+// Latin digits only, so numbers typed with Arabic-Indic digits match too
+function digitsOnly(value) {
+  return toLatinDigits(value || '').replace(/\D/g, '');
+}
+
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
+
+// The values orders are filtered and sorted on, lowercased where they are
+// searched. The order store keeps them in columns, so the same filters can
+// run in SQL; see lib/orderStore.js.
+function getFilterFields(order) {
+  const tags = (order.tags || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+  return {
+    fulfillment_status: order.fulfillment_status || 'unfulfilled',
+    payment_method: classifyPaymentMethod(order),
+    gateway_names: (order.payment_gateway_names || []).join(' ').toLowerCase(),
+    // Between commas, so a tag is matched as ",tag,"
+    tags: `,${tags.join(',')},`,
+    order_number: order.order_number || parseInt((order.name || '').replace(/\D/g, ''), 10) || 0,
+    customer_name: getCustomerName(order).toLowerCase(),
+    email: (order.customer?.email || order.email || '').toLowerCase(),
+    // Digits only, so spacing and +20 don't matter
+    phones: getPhones(order).map(digitsOnly).join(' '),
+    total_price: parseFloat(order.total_price || 0) || 0
+  };
+}
+
+// Filters, all optional:
+//   financial_status, fulfillment_status ("unfulfilled" matches none yet),
+//   gateway (cod, kashier, manual, other or part of the gateway name),
+//   tag, order_number, q (customer name, email or phone), total_min, total_max
+// Returns them normalized the way they are compared
+function parseFilters(filters) {
+  const search = (filters.q || '').trim().toLowerCase();
+  const searchDigits = digitsOnly(search);
+  return {
+    financialStatus: filters.financial_status || null,
+    fulfillmentStatus: filters.fulfillment_status || null,
+    gateway: (filters.gateway || '').toLowerCase() || null,
+    tag: (filters.tag || '').trim().toLowerCase() || null,
+    orderNumber: (filters.order_number || '').replace('#', '').trim() || null,
+    search: search || null,
+    // Phone numbers are searched from 4 digits, without the country code
+    phoneDigits: searchDigits.length >= 4 ? searchDigits.replace(/^20/, '') : null,
+    totalMin: parseAmount(filters.total_min),
+    totalMax: parseAmount(filters.total_max)
+  };
+}
+
+function filterOrders(orders, filters) {
+  const parsed = parseFilters(filters);
+  return orders.filter(order => {
+    const fields = getFilterFields(order);
+    if (parsed.financialStatus && order.financial_status !== parsed.financialStatus) {
+      return false;
+    }
+    if (parsed.fulfillmentStatus && fields.fulfillment_status !== parsed.fulfillmentStatus) {
+      return false;
+    }
+    if (parsed.gateway && fields.payment_method !== parsed.gateway && !fields.gateway_names.includes(parsed.gateway)) {
+      return false;
+    }
+    if (parsed.tag && !fields.tags.includes(`,${parsed.tag},`)) {
+      return false;
+    }
+    if (parsed.orderNumber) {
+      const name = (order.name || '').replace('#', '');
+      if (!name.includes(parsed.orderNumber) && !String(fields.order_number).includes(parsed.orderNumber)) return false;
+    }
+    if (parsed.search) {
+      const textMatch = fields.customer_name.includes(parsed.search) || fields.email.includes(parsed.search);
+      const phoneMatch = Boolean(parsed.phoneDigits) && fields.phones.includes(parsed.phoneDigits);
+      if (!textMatch && !phoneMatch) return false;
+    }
+    if (parsed.totalMin !== null && fields.total_price < parsed.totalMin) return false;
+    if (parsed.totalMax !== null && fields.total_price > parsed.totalMax) return false;
+    return true;
+  });
+}
+
+const SORT_KEYS = ['created_at', 'total_price', 'order_number'];
+
+function sortOrders(orders, sortBy = 'created_at', direction = 'desc') {
+  const key = SORT_KEYS.includes(sortBy) ? sortBy : 'created_at';
+  const value = order => (key === 'created_at' ? new Date(order.created_at).getTime() : getFilterFields(order)[key]);
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...orders].sort((a, b) => (value(a) - value(b)) * sign);
+}
+
+// The page to return out of count items, clamped to the pages there are
+function getPage(count, page, pageSize) {
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), MAX_PAGE_SIZE);
+  const totalPages = Math.max(Math.ceil(count / size), 1);
+  const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+  return { page: current, pageSize: size, totalPages, offset: (current - 1) * size };
+}
+
+function paginate(items, page, pageSize) {
+  const { offset, ...result } = getPage(items.length, page, pageSize);
+  return { ...result, items: items.slice(offset, offset + result.pageSize) };
+}
+
+// Just what the orders table shows. Times are local to the store given.
+function projectOrder(order, store) {
+  return {
+    id: order.id,
+    name: order.name,
+    order_number: order.order_number,
+    created_at: order.created_at,
+    // Shop-local time, formatted like the exports
+    created_at_local: formatTimestamp(order.created_at, undefined, store?.timezone),
+    financial_status: order.financial_status,
+    fulfillment_status: order.fulfillment_status,
+    cancelled_at: order.cancelled_at,
+    currency: order.currency,
+    total_price: order.total_price,
+    payment_gateway_names: order.payment_gateway_names,
+    payment_method: classifyPaymentMethod(order),
+    tags: order.tags,
+    customer_name: getCustomerName(order),
+    email: order.customer?.email || order.email || '',
+    phone: order.customer?.phone || order.phone || order.shipping_address?.phone || '',
+    item_count: order.line_items?.length || 0
+  };
+}
+
+// Full details for the order modal
+function projectOrderDetails(order, store) {
+  const pickAddress = address => address && {
+    first_name: address.first_name,
+    last_name: address.last_name,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    zip: address.zip,
+    country: address.country,
+    phone: address.phone
+  };
+  return {
+    ...projectOrder(order, store),
+    note: order.note,
+    subtotal_price: order.subtotal_price,
+    total_tax: order.total_tax,
+    total_discounts: order.total_discounts,
+    total_shipping_price_set: order.total_shipping_price_set,
+    total_shipping_price: order.total_shipping_price,
+    shipping_address: pickAddress(order.shipping_address),
+    billing_address: pickAddress(order.billing_address),
+    line_items: (order.line_items || []).map(item => ({
+      id: item.id,
+      name: item.name,
+      sku: item.sku,
+      quantity: item.quantity,
+      price: item.price
+    }))
+  };
+}
+
+module.exports = {
+  classifyPaymentMethod,
+  SORT_KEYS,
+  getFilterFields,
+  parseFilters,
+  filterOrders,
+  sortOrders,
+  getPage,
+  paginate,
+  projectOrder,
+  projectOrderDetails
+};
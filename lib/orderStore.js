@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { SORT_KEYS, getFilterFields, parseFilters } = require('./orderQuery');
+const validation = require('./validation');
+
+// Local copy of a shop's orders, so reads don't have to page through
+// Shopify. The full order JSON is stored as-is next to the columns we filter
+// on. Every store has its own database file; see lib/stores.js.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const DEFAULT_DB_FILE = process.env.ORDER_STORE_PATH || path.join(DATA_DIR, 'orders.db');
+
+const openStores = new Map();
+
+// Columns of the dashboard filters, from orderQuery.getFilterFields. Bump
+// FILTER_FIELDS_VERSION when getFilterFields changes, to fill them in again.
+const FILTER_FIELDS_VERSION = 2;
+const FILTER_COLUMNS = {
+  fulfillment_status: 'TEXT',
+  payment_method: 'TEXT',
+  gateway_names: 'TEXT',
+  tags: 'TEXT',
+  order_number: 'INTEGER',
+  customer_name: 'TEXT',
+  email: 'TEXT',
+  phones: 'TEXT',
+  total_price: 'REAL'
+};
+
+function openDb(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id INTEGER PRIMARY KEY,
+      name TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      closed_at TEXT,
+      cancelled_at TEXT,
+      financial_status TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS orders_created_at ON orders (created_at);
+    CREATE INDEX IF NOT EXISTS orders_name ON orders (name);
+    CREATE TABLE IF NOT EXISTS sync_state (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id TEXT PRIMARY KEY,
+      topic TEXT NOT NULL,
+      received_at TEXT NOT NULL
+    );
+  `);
+  updateFilterColumns(db);
+  return db;
+}
+
+// Databases from before the filter columns (or their current version) get
+// them, filled in from the stored order JSON
+function updateFilterColumns(db) {
+  const existing = new Set(db.prepare('PRAGMA table_info(orders)').all().map(column => column.name));
+  const missing = Object.keys(FILTER_COLUMNS).filter(name => !existing.has(name));
+  const version = db.prepare("SELECT value FROM sync_state WHERE key = 'filter_fields_version'").get();
+  if (missing.length === 0 && version && JSON.parse(version.value) === FILTER_FIELDS_VERSION) return;
+  db.transaction(() => {
+    for (const name of missing) {
+      db.exec(`ALTER TABLE orders ADD COLUMN ${name} ${FILTER_COLUMNS[name]}`);
+    }
+    const columns = Object.keys(FILTER_COLUMNS);
+    const update = db.prepare(`UPDATE orders SET ${columns.map(name => `${name} = @${name}`).join(', ')} WHERE id = @id`);
+    for (const row of db.prepare('SELECT id, data FROM orders').all()) {
+      update.run({ id: row.id, ...getFilterFields(JSON.parse(row.data)) });
+    }
+    db
+      .prepare("INSERT INTO sync_state (key, value) VALUES ('filter_fields_version', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+      .run(JSON.stringify(FILTER_FIELDS_VERSION));
+  })();
+}
+
+// Shopify timestamps carry the shop's offset; store them as UTC ISO strings
+// so that they sort and compare correctly as text
+function toUtc(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+// The order store in a database file (orders.db unless given), opened on
+// first use and shared by every caller after that
+function open(file = DEFAULT_DB_FILE) {
+  if (openStores.has(file)) {
+    return openStores.get(file);
+  }
+  const db = openDb(file);
+
+  function upsertOrders(orders) {
+    const columns = ['id', 'name', 'created_at', 'updated_at', 'closed_at', 'cancelled_at', 'financial_status', ...Object.keys(FILTER_COLUMNS), 'data'];
+    const statement = db.prepare(`
+      INSERT INTO orders (${columns.join(', ')})
+      VALUES (${columns.map(name => `@${name}`).join(', ')})
+      ON CONFLICT (id) DO UPDATE SET
+        ${columns.slice(1).map(name => `${name} = excluded.${name}`).join(',\n        ')}
+    `);
+    const upsertAll = db.transaction(rows => {
+      for (const order of rows) {
+        statement.run({
+          id: order.id,
+          name: order.name || null,
+          created_at: toUtc(order.created_at),
+          updated_at: toUtc(order.updated_at || order.created_at),
+          closed_at: toUtc(order.closed_at),
+          cancelled_at: toUtc(order.cancelled_at),
+          financial_status: order.financial_status || null,
+          ...getFilterFields(order),
+          data: JSON.stringify(order)
+        });
+      }
+    });
+    upsertAll(orders);
+  }
+
+  // WHERE clause and parameters of a date range and status, filtered the
+  // same way orders.json filters them, and of the dashboard filters
+  function buildWhere({ createdAtMin, createdAtMax, status, filters }) {
+    const conditions = [];
+    const params = {};
+    if (createdAtMin) {
+      conditions.push('created_at >= @createdAtMin');
+      params.createdAtMin = toUtc(createdAtMin);
+    }
+    if (createdAtMax) {
+      conditions.push('created_at <= @createdAtMax');
+      params.createdAtMax = toUtc(createdAtMax);
+    }
+    if (status === 'open') {
+      conditions.push('closed_at IS NULL AND cancelled_at IS NULL');
+    } else if (status === 'closed' || status === 'archived') {
+      conditions.push('closed_at IS NOT NULL');
+    } else if (status === 'cancelled') {
+      conditions.push('cancelled_at IS NOT NULL');
+    }
+    const parsed = parseFilters(filters || {});
+    if (parsed.financialStatus) {
+      conditions.push('financial_status = @financialStatus');
+    }
+    if (parsed.fulfillmentStatus) {
+      conditions.push('fulfillment_status = @fulfillmentStatus');
+    }
+    if (parsed.gateway) {
+      conditions.push('(payment_method = @gateway OR instr(gateway_names, @gateway) > 0)');
+    }
+    if (parsed.tag) {
+      conditions.push("instr(tags, ',' || @tag || ',') > 0");
+    }
+    if (parsed.orderNumber) {
+      conditions.push("(instr(replace(name, '#', ''), @orderNumber) > 0 OR instr(order_number, @orderNumber) > 0)");
+    }
+    if (parsed.search) {
+      const phoneMatch = parsed.phoneDigits ? ' OR instr(phones, @phoneDigits) > 0' : '';
+      conditions.push(`(instr(customer_name, @search) > 0 OR instr(email, @search) > 0${phoneMatch})`);
+    }
+    if (parsed.totalMin !== null) {
+      conditions.push('total_price >= @totalMin');
+    }
+    if (parsed.totalMax !== null) {
+      conditions.push('total_price <= @totalMax');
+    }
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value !== null) params[key] = value;
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  // Read orders newest first, filtered the same way orders.json filters them
+  function queryOrders({ createdAtMin, createdAtMax, status } = {}) {
+    const { where, params } = buildWhere({ createdAtMin, createdAtMax, status });
+    return db
+      .prepare(`SELECT data FROM orders ${where} ORDER BY created_at DESC`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // One page of orders for the dashboard table: the orders of queryOrders that
+  // match filters (see orderQuery.parseFilters), sorted by sortBy and paged
+  // with limit and offset
+  function searchOrders({ createdAtMin, createdAtMax, status, filters }, { sortBy, sortDir, limit, offset = 0 }) {
+    const { where, params } = buildWhere({ createdAtMin, createdAtMax, status, filters });
+    const column = SORT_KEYS.includes(sortBy) ? sortBy : 'created_at';
+    const direction = sortDir === 'asc' ? 'ASC' : 'DESC';
+    return db
+      .prepare(`SELECT data FROM orders ${where} ORDER BY ${column} ${direction}, created_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Possible duplicates of the given orders among all stored orders, found
+  // the way validation.findDuplicates finds them: another order with the same
+  // shipping phone within DUPLICATE_WINDOW_HOURS. Candidates are looked up by
+  // the phones column, so a page of orders is checked against every page.
+  function findDuplicates(orders) {
+    const windowMs = validation.DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+    const statement = db.prepare(`
+      SELECT data FROM orders
+      WHERE id != @id AND cancelled_at IS NULL AND created_at >= @from AND created_at <= @to AND instr(phones, @phone) > 0
+      ORDER BY created_at DESC
+    `);
+    const duplicates = new Map();
+    for (const order of orders) {
+      const phone = validation.normalizePhone(validation.getShippingPhone(order));
+      if (!phone || order.cancelled_at) continue;
+      const time = new Date(order.created_at).getTime();
+      const others = statement
+        .all({
+          id: order.id,
+          // The ten digits after 0 or +20, however the number was typed
+          phone: phone.slice(-10),
+          from: new Date(time - windowMs).toISOString(),
+          to: new Date(time + windowMs).toISOString()
+        })
+        .map(row => JSON.parse(row.data));
+      const found = validation.findDuplicates([order, ...others]).get(String(order.id));
+      if (found) {
+        duplicates.set(String(order.id), found);
+      }
+    }
+    return duplicates;
+  }
+
+  function getOrder(id) {
+    const row = db.prepare('SELECT data FROM orders WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Orders by their display name ("#1001"), for matching external sheets.
+  // Looked up in chunks to stay under SQLite's bound parameter limit.
+  function getOrdersByName(names) {
+    const orders = [];
+    for (let i = 0; i < names.length; i += 500) {
+      const chunk = names.slice(i, i + 500);
+      const rows = db
+        .prepare(`SELECT data FROM orders WHERE name IN (${chunk.map(() => '?').join(', ')})`)
+        .all(chunk);
+      orders.push(...rows.map(row => JSON.parse(row.data)));
+    }
+    return orders;
+  }
+
+  // Number of stored orders, or of those searchOrders would find
+  function countOrders({ createdAtMin, createdAtMax, status, filters } = {}) {
+    const { where, params } = buildWhere({ createdAtMin, createdAtMax, status, filters });
+    return db.prepare(`SELECT COUNT(*) AS count FROM orders ${where}`).get(params).count;
+  }
+
+  function getState(key) {
+    const row = db.prepare('SELECT value FROM sync_state WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  function setState(key, value) {
+    db
+      .prepare('INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, JSON.stringify(value));
+  }
+
+  // Remember a webhook delivery by its X-Shopify-Webhook-Id. Returns false when
+  // it was already recorded, i.e. Shopify is retrying or resending it.
+  function recordWebhookEvent(id, topic) {
+    const result = db
+      .prepare('INSERT INTO webhook_events (id, topic, received_at) VALUES (?, ?, ?) ON CONFLICT (id) DO NOTHING')
+      .run(id, topic, new Date().toISOString());
+    return result.changes > 0;
+  }
+
+  // Forget a delivery that couldn't be processed, so Shopify's retry is handled
+  function forgetWebhookEvent(id) {
+    db.prepare('DELETE FROM webhook_events WHERE id = ?').run(id);
+  }
+
+  // Shopify stops retrying a delivery after 48 hours, so older ids can go
+  function pruneWebhookEvents(olderThan) {
+    db.prepare('DELETE FROM webhook_events WHERE received_at < ?').run(olderThan);
+  }
+
+  // Forget every order, webhook delivery and sync state, for a store that
+  // now reads another shop
+  function clear() {
+    db.transaction(() => {
+      db.exec(`
+        DELETE FROM orders;
+        DELETE FROM webhook_events;
+        DELETE FROM sync_state WHERE key != 'filter_fields_version';
+      `);
+    })();
+  }
+
+  // Close the database; the next open() of the file opens it again
+  function close() {
+    if (openStores.get(file) === store) {
+      openStores.delete(file);
+    }
+    db.close();
+  }
+
+  const store = {
+    upsertOrders,
+    queryOrders,
+    searchOrders,
+    findDuplicates,
+    getOrder,
+    getOrdersByName,
+    countOrders,
+    getState,
+    setState,
+    recordWebhookEvent,
+    forgetWebhookEvent,
+    pruneWebhookEvents,
+    clear,
+    close
+  };
+  openStores.set(file, store);
+  return store;
+}
+
+module.exports = {
+  DATA_DIR,
+  open
+};
@@ -0,0 +1,56 @@
+const { classifyPaymentMethod } = require('./orderQuery');
+
+// Payment calculations shared by the exports and printed documents
+
+// Gateway Shopify records gift card payments under
+const GIFT_CARD_GATEWAY = 'gift_card';
+
+// Summarize an order's transactions into the money captured and refunded per
+// gateway, in the order the gateways were first used. Sales and captures
+// count once they succeeded; pending COD sales and authorizations don't.
+function summarizePayments(transactions) {
+  const gateways = new Map();
+  for (const transaction of transactions || []) {
+    if (transaction.status !== 'success') {
+      continue;
+    }
+    const name = transaction.gateway || 'unknown';
+    const payment = gateways.get(name) || { gateway: name, captured: 0, refunded: 0 };
+    const amount = parseFloat(transaction.amount || 0);
+    if (transaction.kind === 'sale' || transaction.kind === 'capture') {
+      payment.captured += amount;
+    } else if (transaction.kind === 'refund') {
+      payment.refunded += amount;
+    } else {
+      continue;
+    }
+    gateways.set(name, payment);
+  }
+
+  const payments = [...gateways.values()];
+  return {
+    payments,
+    capturedAmount: payments.reduce((sum, payment) => sum + payment.captured, 0),
+    giftCardAmount: payments
+      .filter(payment => payment.gateway === GIFT_CARD_GATEWAY)
+      .reduce((sum, payment) => sum + payment.captured - payment.refunded, 0)
+  };
+}
+
+// What the courier should collect: nothing for prepaid orders, otherwise the
+// outstanding balance (the total less refunds when Shopify doesn't say)
+function getCodAmount(order, refundSummary) {
+  if (classifyPaymentMethod(order) !== 'cod' || order.financial_status === 'paid') {
+    return 0;
+  }
+  const outstanding = order.total_outstanding !== undefined
+    ? parseFloat(order.total_outstanding)
+    : parseFloat(order.total_price || 0) - (refundSummary?.refundAmount || 0);
+  return Math.max(outstanding, 0);
+}
+
+module.exports = {
+  GIFT_CARD_GATEWAY,
+  summarizePayments,
+  getCodAmount
+};
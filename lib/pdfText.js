@@ -0,0 +1,135 @@
+const path = require('path');
+const bidiFactory = require('bidi-js');
+
+// Text drawing for the PDF documents. PDFKit shapes Arabic letters (through
+// fontkit) but lays every string out in a single direction, so mixed text
+// such as "شارع 12" comes out with its runs in the wrong order. Text is
+// wrapped here, each line is split into runs with the Unicode bidi
+// algorithm, and the runs are drawn one by one in visual order.
+//
+// DejaVu Sans covers Latin and Arabic in one font. Its bold face lacks some
+// Arabic joining forms, so right-to-left text is always set in the regular
+// face. PDF_FONT_PATH and PDF_BOLD_FONT_PATH point at other TrueType fonts.
+const bidi = bidiFactory();
+const DEJAVU_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONT_PATH = process.env.PDF_FONT_PATH || path.join(DEJAVU_DIR, 'DejaVuSans.ttf');
+const BOLD_FONT_PATH = process.env.PDF_BOLD_FONT_PATH || path.join(DEJAVU_DIR, 'DejaVuSans-Bold.ttf');
+
+// Hebrew, Arabic, Syriac, Thaana and the Arabic presentation forms
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/;
+
+function registerFonts(doc) {
+  doc.registerFont('regular', FONT_PATH);
+  doc.registerFont('bold', BOLD_FONT_PATH);
+  doc.font('regular');
+}
+
+function isRtl(text) {
+  return RTL_PATTERN.test(text);
+}
+
+// Break text into lines no wider than width, between words
+function wrapLines(doc, text, width) {
+  const lines = [];
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && doc.widthOfString(candidate) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Runs of one line in visual order (left to right), each with its text in
+// logical order. fontkit reverses runs of right-to-left letters itself;
+// right-to-left runs of digits or punctuation are reversed (and brackets
+// mirrored) here.
+function visualRuns(line, rtl) {
+  const embedding = bidi.getEmbeddingLevels(line, rtl ? 'rtl' : 'ltr');
+  const indices = bidi.getReorderedIndices(line, embedding);
+  const runs = [];
+  for (const index of indices) {
+    const level = embedding.levels[index];
+    const run = runs[runs.length - 1];
+    const step = level % 2 === 1 ? -1 : 1;
+    if (run && run.level === level && index === run.last + step) {
+      run.last = index;
+    } else {
+      runs.push({ level, first: index, last: index });
+    }
+  }
+  return runs.map(({ level, first, last }) => {
+    const text = line.slice(Math.min(first, last), Math.max(first, last) + 1);
+    if (level % 2 === 1 && !isRtl(text)) {
+      return [...text].reverse().map(char => bidi.getMirroredCharacter(char) || char).join('');
+    }
+    return text;
+  });
+}
+
+function prepare(doc, text, { font = 'regular', size } = {}) {
+  const value = text === undefined || text === null ? '' : String(text);
+  if (size) {
+    doc.fontSize(size);
+  }
+  doc.font(isRtl(value) ? 'regular' : font);
+  return value;
+}
+
+// Height text takes up when drawn with drawText in a box of this width
+function measureText(doc, text, options = {}) {
+  const value = prepare(doc, text, options);
+  return wrapLines(doc, value, options.width).length * doc.currentLineHeight(true);
+}
+
+// Draw text into a box at x, y. Lines are wrapped to width, and text that
+// starts with a right-to-left letter is laid out right to left and right
+// aligned unless direction or align say otherwise. Returns the height used.
+function drawText(doc, text, x, y, options = {}) {
+  const value = prepare(doc, text, options);
+  const { width } = options;
+  const rtl = options.direction
+    ? options.direction === 'rtl'
+    : bidi.getEmbeddingLevels(value, 'auto').paragraphs[0]?.level % 2 === 1;
+  const align = options.align || (rtl ? 'right' : 'left');
+  const lineHeight = doc.currentLineHeight(true);
+
+  const lines = wrapLines(doc, value, width);
+  lines.forEach((line, lineIndex) => {
+    const runs = visualRuns(line, rtl);
+    const lineWidth = runs.reduce((sum, run) => sum + doc.widthOfString(run), 0);
+    let runX = x;
+    if (align === 'right') {
+      runX = x + width - lineWidth;
+    } else if (align === 'center') {
+      runX = x + (width - lineWidth) / 2;
+    }
+    for (const run of runs) {
+      // PDFKit shapes a string word by word with the trailing space attached,
+      // which puts the spaces of right-to-left words on the wrong side, so
+      // those words are placed one at a time
+      const words = run.split(/(\s+)/).filter(Boolean);
+      for (const word of isRtl(run) ? words.reverse() : words) {
+        if (word.trim()) {
+          doc.text(word, runX, y + lineIndex * lineHeight, { lineBreak: false });
+        }
+        runX += doc.widthOfString(word);
+      }
+    }
+  });
+  return lines.length * lineHeight;
+}
+
+module.exports = {
+  registerFonts,
+  isRtl,
+  measureText,
+  drawText
+};
@@ -0,0 +1,341 @@
+const PDFDocument = require('pdfkit');
+const mappings = require('./mappings');
+const { getNetQuantity } = require('./refunds');
+const { getCodAmount } = require('./payments');
+const { formatTimestamp } = require('./timezone');
+const { formatPhone } = require('./validation');
+const { registerFonts, measureText, drawText } = require('./pdfText');
+
+// Printable documents for the warehouse and couriers: packing slips (A5,
+// one slip per order) and carrier manifests (A4 landscape, one section per
+// carrier). Both take entries of { order, refundSummary } and return an
+// ended PDFKit document to pipe into the response.
+const CELL_PADDING = 4;
+const TABLE_FONT_SIZE = 9;
+const NO_CARRIER = 'No carrier';
+
+function createDocument({ size, layout, title }) {
+  const doc = new PDFDocument({ size, layout, margin: 30, autoFirstPage: false, bufferPages: true, info: { Title: title } });
+  registerFonts(doc);
+  return doc;
+}
+
+function pageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function drawRule(doc, y) {
+  doc
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5)
+    .strokeColor('#999999')
+    .stroke();
+}
+
+function formatMoney(amount, currency) {
+  return `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+}
+
+function formatDate(timestamp, store) {
+  return timestamp ? formatTimestamp(timestamp, 'YYYY-MM-DD HH:mm', store.timezone) : '';
+}
+
+function getAddress(order) {
+  return order.shipping_address || order.billing_address || {};
+}
+
+function getRecipient(order) {
+  const address = getAddress(order);
+  return `${address.first_name || ''} ${address.last_name || ''}`.trim() || order.customer?.first_name || '';
+}
+
+function getPhone(order) {
+  return formatPhone(getAddress(order).phone || order.phone || order.customer?.phone);
+}
+
+// Items still to ship: refunded quantities are taken off and items refunded
+// completely are left out
+function getItemsToShip({ order, refundSummary }) {
+  return (order.line_items || [])
+    .map(lineItem => ({
+      sku: lineItem.sku || '',
+      name: [lineItem.name || lineItem.title, lineItem.name ? '' : lineItem.variant_title].filter(Boolean).join(' - '),
+      quantity: getNetQuantity(lineItem, refundSummary)
+    }))
+    .filter(item => item.quantity > 0);
+}
+
+function cellOptions(columns, index, font) {
+  return { width: columns[index].width - 2 * CELL_PADDING, font, size: TABLE_FONT_SIZE };
+}
+
+function rowHeight(doc, columns, cells, font) {
+  return Math.max(...cells.map((cell, index) => measureText(doc, cell, cellOptions(columns, index, font)))) + 2 * CELL_PADDING;
+}
+
+// Draw a table row with one cell per column. Returns the row height.
+function drawRow(doc, columns, cells, y, { font = 'regular', fill } = {}) {
+  const height = rowHeight(doc, columns, cells, font);
+  let x = doc.page.margins.left;
+  if (fill) {
+    doc.rect(x, y, columns.reduce((sum, column) => sum + column.width, 0), height).fill(fill);
+  }
+  doc.fillColor('#000000');
+  cells.forEach((cell, index) => {
+    drawText(doc, cell, x + CELL_PADDING, y + CELL_PADDING, { ...cellOptions(columns, index, font), align: columns[index].align });
+    x += columns[index].width;
+  });
+  drawRule(doc, y + height);
+  return height;
+}
+
+// Draw a table with a header row. When a row doesn't fit, addPage() starts a
+// new page and returns the y to continue at, and the header is repeated.
+// Returns the y below the table.
+function drawTable(doc, columns, rows, y, addPage) {
+  const header = columns.map(column => column.title);
+  const headerOptions = { font: 'bold', fill: '#e8e8e8' };
+  let top = y + drawRow(doc, columns, header, y, headerOptions);
+  for (const { cells, font = 'regular' } of rows) {
+    if (top + rowHeight(doc, columns, cells, font) > pageBottom(doc)) {
+      const continueAt = addPage();
+      top = continueAt + drawRow(doc, columns, header, continueAt, headerOptions);
+    }
+    top += drawRow(doc, columns, cells, top, { font });
+  }
+  return top;
+}
+
+// Columns sized to the page: the flexible column takes what the others leave
+function sizeColumns(doc, columns) {
+  const fixed = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  return columns.map(column => ({ ...column, width: column.width || contentWidth(doc) - fixed }));
+}
+
+function drawSlipHeader(doc, { order }, store, continued) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  let y = doc.page.margins.top;
+
+  doc.fillColor('#000000');
+  drawText(doc, store.name, left, y, { width: width / 2, font: 'bold', size: 12, align: 'left' });
+  drawText(doc, continued ? 'Packing Slip (continued)' : 'Packing Slip', left + width / 2, y, { width: width / 2, size: 9, align: 'right' });
+  y += 18;
+  drawText(doc, `Order ${order.name}`, left, y, { width: width / 2, font: 'bold', size: 16, align: 'left' });
+  drawText(doc, formatDate(order.created_at, store), left + width / 2, y + 4, { width: width / 2, size: 9, align: 'right' });
+  y += 24;
+
+  const carrier = mappings.resolveCarrierCode(order);
+  if (carrier) {
+    drawText(doc, `Carrier: ${carrier}`, left, y, { width, size: 9, align: 'right' });
+    y += 14;
+  }
+  drawRule(doc, y);
+  return y + 8;
+}
+
+function drawPackingSlip(doc, entry, store) {
+  const { order } = entry;
+  const addPage = () => {
+    doc.addPage();
+    return drawSlipHeader(doc, entry, store, true);
+  };
+
+  doc.addPage();
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  let y = drawSlipHeader(doc, entry, store, false);
+
+  // Ship to
+  const address = getAddress(order);
+  drawText(doc, 'Ship To', left, y, { width, font: 'bold', size: 9, align: 'left' });
+  y += 14;
+  y += drawText(doc, getRecipient(order), left, y, { width, size: 12 });
+  for (const line of [
+    [address.address1, address.address2].filter(Boolean).join(', '),
+    [address.city, address.province, address.zip].filter(Boolean).join(', ')
+  ]) {
+    if (line) {
+      y += drawText(doc, line, left, y, { width, size: 10 });
+    }
+  }
+  const phone = getPhone(order);
+  if (phone) {
+    y += drawText(doc, `Phone: ${phone}`, left, y + 2, { width, font: 'bold', size: 11, align: 'left' }) + 2;
+  }
+  y += 8;
+
+  // Items
+  const items = getItemsToShip(entry);
+  const columns = sizeColumns(doc, [
+    { title: 'SKU', width: 90 },
+    { title: 'Item' },
+    { title: 'Qty', width: 40, align: 'right' }
+  ]);
+  y = drawTable(doc, columns, items.map(item => ({ cells: [item.sku, item.name, String(item.quantity)] })), y, addPage);
+  const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+  drawText(doc, `${quantity} item${quantity !== 1 ? 's' : ''}`, left, y + 4, { width, font: 'bold', size: 9, align: 'right' });
+  y += 22;
+
+  // Customer note
+  if (order.note) {
+    const noteHeight = measureText(doc, order.note, { width, size: 9 }) + 16;
+    if (y + noteHeight > pageBottom(doc)) {
+      y = addPage();
+    }
+    drawText(doc, 'Customer Note', left, y, { width, font: 'bold', size: 9, align: 'left' });
+    y += 14;
+    y += drawText(doc, order.note, left, y, { width, size: 9 }) + 10;
+  }
+
+  // Amount to collect
+  const boxHeight = 44;
+  if (y + boxHeight > pageBottom(doc)) {
+    y = addPage();
+  }
+  const codAmount = getCodAmount(order, entry.refundSummary);
+  doc.rect(left, y, width, boxHeight).lineWidth(1.5).strokeColor('#000000').stroke();
+  drawText(doc, codAmount > 0 ? 'COD amount to collect' : 'Prepaid - nothing to collect', left + 10, y + 8, { width: width - 20, font: 'bold', size: 10, align: 'left' });
+  if (codAmount > 0) {
+    drawText(doc, formatMoney(codAmount, store.currency), left + 10, y + 8, { width: width - 20, font: 'bold', size: 20, align: 'right' });
+  }
+}
+
+// Packing slips for entries ({ order, refundSummary }), in the given order
+function createPackingSlips(entries, { store }) {
+  const doc = createDocument({ size: 'A5', title: `Packing slips - ${store.name}` });
+  for (const entry of entries) {
+    drawPackingSlip(doc, entry, store);
+  }
+  doc.end();
+  return doc;
+}
+
+function drawManifestHeader(doc, { carrier, store, range, count }, continued) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  let y = doc.page.margins.top;
+
+  doc.fillColor('#000000');
+  drawText(doc, `Courier Manifest - ${carrier}${continued ? ' (continued)' : ''}`, left, y, { width, font: 'bold', size: 16, align: 'left' });
+  y += 24;
+  const details = [store.name, range, `${count} order${count !== 1 ? 's' : ''}`, `Printed ${formatTimestamp(new Date(), 'YYYY-MM-DD HH:mm', store.timezone)}`];
+  drawText(doc, details.filter(Boolean).join('   |   '), left, y, { width, size: 9, align: 'left', direction: 'ltr' });
+  return y + 20;
+}
+
+function drawSignatures(doc, y) {
+  const left = doc.page.margins.left;
+  const boxWidth = (contentWidth(doc) - 40) / 3;
+  ['Handed over by', 'Received by (courier name and signature)', 'Date and time'].forEach((label, index) => {
+    const x = left + index * (boxWidth + 20);
+    doc.moveTo(x, y + 36).lineTo(x + boxWidth, y + 36).lineWidth(0.5).strokeColor('#000000').stroke();
+    drawText(doc, label, x, y + 40, { width: boxWidth, size: 8, align: 'left' });
+  });
+}
+
+function drawManifestSection(doc, carrier, entries, { store, range }) {
+  const header = { carrier, store, range, count: entries.length };
+  const addPage = () => {
+    doc.addPage();
+    return drawManifestHeader(doc, header, true);
+  };
+
+  doc.addPage();
+  const columns = sizeColumns(doc, [
+    { title: '#', width: 25, align: 'right' },
+    { title: 'Order', width: 60 },
+    { title: 'Date', width: 90 },
+    { title: 'Customer', width: 110 },
+    { title: 'Phone', width: 85 },
+    { title: 'Address' },
+    { title: 'Items', width: 40, align: 'right' },
+    { title: 'Total', width: 70, align: 'right' },
+    { title: 'COD', width: 70, align: 'right' }
+  ]);
+
+  const totals = { items: 0, total: 0, cod: 0 };
+  const rows = entries.map((entry, index) => {
+    const { order } = entry;
+    const address = getAddress(order);
+    const items = getItemsToShip(entry).reduce((sum, item) => sum + item.quantity, 0);
+    const total = parseFloat(order.total_price || 0);
+    const cod = getCodAmount(order, entry.refundSummary);
+    totals.items += items;
+    totals.total += total;
+    totals.cod += cod;
+    return {
+      cells: [
+        String(index + 1),
+        order.name,
+        formatDate(order.created_at, store),
+        getRecipient(order),
+        getPhone(order),
+        [address.address1, address.address2, address.city].filter(Boolean).join(', '),
+        String(items),
+        total.toFixed(2),
+        cod.toFixed(2)
+      ]
+    };
+  });
+  rows.push({
+    font: 'bold',
+    cells: ['', `${entries.length} orders`, '', '', '', '', String(totals.items), totals.total.toFixed(2), totals.cod.toFixed(2)]
+  });
+
+  let y = drawTable(doc, columns, rows, drawManifestHeader(doc, header, false), addPage);
+  if (store.currency) {
+    drawText(doc, `Amounts in ${store.currency}`, doc.page.margins.left, y + 4, { width: contentWidth(doc), size: 8, align: 'right' });
+  }
+  y += 24;
+  if (y + 56 > pageBottom(doc)) {
+    y = addPage();
+  }
+  drawSignatures(doc, y);
+}
+
+function drawPageNumbers(doc) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    // Writing into the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    drawText(doc, `Page ${index + 1} of ${count}`, doc.page.margins.left, doc.page.height - bottom + 10, { width: contentWidth(doc), size: 8, align: 'center' });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// Manifests for entries ({ order, refundSummary }): one section per carrier
+// (from the carrier mappings), or only the orders of carrier when given.
+// range describes the selection on the header, e.g. "2024-05-01 to 2024-05-07".
+function createManifest(entries, { store, carrier, range }) {
+  const carriers = new Map();
+  for (const entry of entries) {
+    const code = mappings.resolveCarrierCode(entry.order) || NO_CARRIER;
+    if (carrier && code !== carrier) continue;
+    carriers.set(code, [...(carriers.get(code) || []), entry]);
+  }
+
+  const doc = createDocument({ size: 'A4', layout: 'landscape', title: `Courier manifest - ${store.name}` });
+  if (carriers.size === 0) {
+    doc.addPage();
+    drawText(doc, carrier ? `No orders for carrier ${carrier}` : 'No orders', doc.page.margins.left, doc.page.margins.top, { width: contentWidth(doc), size: 12 });
+  }
+  for (const [code, carrierEntries] of [...carriers].sort(([a], [b]) => a.localeCompare(b))) {
+    drawManifestSection(doc, code, carrierEntries, { store, range });
+  }
+  drawPageNumbers(doc);
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  createPackingSlips,
+  createManifest
+};
@@ -0,0 +1,47 @@
+// Refund calculations shared by the exports
+
+// Summarize an order's refunds into the refunded money and the refunded
+// quantity per line item (restocked and non-restocked items alike)
+function summarizeRefunds(refunds) {
+  let refundAmount = 0;
+  const refundedQuantities = {};
+  
+  for (const refund of refunds || []) {
+    let itemsAmount = 0;
+    for (const refundLineItem of refund.refund_line_items || []) {
+      const lineItemId = refundLineItem.line_item_id;
+      refundedQuantities[lineItemId] = (refundedQuantities[lineItemId] || 0) + (refundLineItem.quantity || 0);
+      itemsAmount += parseFloat(refundLineItem.subtotal || 0) + parseFloat(refundLineItem.total_tax || 0);
+    }
+    
+    // Shipping refunds come through as negative order adjustments
+    let shippingAmount = 0;
+    for (const adjustment of refund.order_adjustments || []) {
+      if (adjustment.kind === 'shipping_refund') {
+        shippingAmount -= parseFloat(adjustment.amount || 0) + parseFloat(adjustment.tax_amount || 0);
+      }
+    }
+    
+    const transactions = (refund.transactions || []).filter(t => t.kind === 'refund' && t.status === 'success');
+    if (transactions.length > 0) {
+      refundAmount += transactions.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
+    } else {
+      // No money went back through a gateway (e.g. unpaid COD orders),
+      // so count the value of the refunded items and shipping instead
+      refundAmount += itemsAmount + shippingAmount;
+    }
+  }
+  
+  return { refundAmount, refundedQuantities };
+}
+
+// Quantity of a line item left after refunds
+function getNetQuantity(lineItem, refundSummary) {
+  const refunded = refundSummary?.refundedQuantities[lineItem.id] || 0;
+  return Math.max((lineItem.quantity || 1) - refunded, 0);
+}
+
+module.exports = {
+  summarizeRefunds,
+  getNetQuantity
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { summarizeRefunds } = require('./refunds');
+const { classifyPaymentMethod } = require('./orderQuery');
+const { formatTimestamp } = require('./timezone');
+const { cellValue, normalizeOrderNumber, readSheetRows, findColumns } = require('./sheets');
+
+// Reconciles courier COD settlement sheets against Shopify orders. Each
+// courier lays out its sheet differently, so a column mapping says which
+// header holds the order number, the collected amount and the fees.
+// Column mappings are kept in a JSON file and every reconciliation report
+// is saved so it can be reopened and exported later.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const MAPPINGS_FILE = path.join(DATA_DIR, 'settlement-mappings.json');
+const REPORTS_DIR = path.join(DATA_DIR, 'settlements');
+const DEFAULT_MAPPING_NAME = 'default';
+
+// Amounts closer than this are treated as equal
+const AMOUNT_TOLERANCE = 0.01;
+
+const DEFAULT_MAPPING = {
+  name: DEFAULT_MAPPING_NAME,
+  description: 'Order Number, COD Amount and Fees columns',
+  orderNumberColumn: 'Order Number',
+  collectedAmountColumn: 'COD Amount',
+  feeColumns: ['Fees']
+};
+
+let cache = null;
+
+function loadMappings() {
+  if (!cache) {
+    cache = fs.existsSync(MAPPINGS_FILE) ? JSON.parse(fs.readFileSync(MAPPINGS_FILE, 'utf8')) : {};
+  }
+  return cache;
+}
+
+function saveMappings() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(MAPPINGS_FILE, JSON.stringify(cache, null, 2));
+}
+
+function validateMapping(name, data) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name || '')) {
+    throw new Error('Mapping name may only contain letters, numbers, "-" and "_"');
+  }
+  if (name in Object.prototype) {
+    throw new Error(`"${name}" can't be used as a mapping name`);
+  }
+  if (name === DEFAULT_MAPPING_NAME) {
+    throw new Error(`"${DEFAULT_MAPPING_NAME}" is the built-in mapping and can't be changed`);
+  }
+  if (!data.orderNumberColumn || !data.collectedAmountColumn) {
+    throw new Error('Mapping requires orderNumberColumn and collectedAmountColumn');
+  }
+  const feeColumns = data.feeColumns || [];
+  if (!Array.isArray(feeColumns)) {
+    throw new Error('feeColumns must be a list of column titles');
+  }
+  return {
+    name,
+    description: data.description || '',
+    orderNumberColumn: data.orderNumberColumn.toString().trim(),
+    collectedAmountColumn: data.collectedAmountColumn.toString().trim(),
+    feeColumns: feeColumns.map(column => column.toString().trim()).filter(Boolean)
+  };
+}
+
+function listMappings() {
+  return [DEFAULT_MAPPING, ...Object.values(loadMappings())];
+}
+
+function getMapping(name) {
+  if (!name || name === DEFAULT_MAPPING_NAME) {
+    return DEFAULT_MAPPING;
+  }
+  const mappings = loadMappings();
+  return Object.hasOwn(mappings, name) ? mappings[name] : null;
+}
+
+function saveMapping(name, data) {
+  const mapping = validateMapping(name, data);
+  loadMappings()[name] = mapping;
+  saveMappings();
+  return mapping;
+}
+
+function deleteMapping(name) {
+  const mappings = loadMappings();
+  if (!Object.hasOwn(mappings, name)) {
+    return false;
+  }
+  delete mappings[name];
+  saveMappings();
+  return true;
+}
+
+// Amounts may use Arabic-Indic digits, thousands separators or a currency
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = cellValue(value).toString()
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/\u066B/g, '.')
+    .replace(/[^0-9.-]/g, '');
+  const amount = parseFloat(text);
+  return isNaN(amount) ? 0 : amount;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Turn the sheet into settlement lines using the mapping's column titles
+async function parseSettlement(buffer, mapping) {
+  const rows = await readSheetRows(buffer);
+  const wanted = [mapping.orderNumberColumn, mapping.collectedAmountColumn, ...mapping.feeColumns];
+
+  const { headerIndex, columnIndex } = findColumns(rows, mapping.orderNumberColumn, wanted);
+  const missing = wanted.filter(title => columnIndex[title] === -1);
+  if (missing.length > 0) {
+    const error = new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const lines = [];
+  for (const row of rows.slice(headerIndex + 1)) {
+    const orderNumber = cellValue(row.cells[columnIndex[mapping.orderNumberColumn]]).toString().trim();
+    // Skip blank and total rows, which have no order number
+    if (!orderNumber) {
+      continue;
+    }
+    lines.push({
+      row: row.rowNumber,
+      orderNumber,
+      collected: parseAmount(row.cells[columnIndex[mapping.collectedAmountColumn]]),
+      fees: mapping.feeColumns.reduce((sum, title) => sum + parseAmount(row.cells[columnIndex[title]]), 0)
+    });
+  }
+  return lines;
+}
+
+// What the courier should have collected for an order: the total less any
+// refunds for COD orders, nothing for prepaid or cancelled ones
+function expectedAmount(order) {
+  if (order.cancelled_at || classifyPaymentMethod(order) !== 'cod') {
+    return 0;
+  }
+  return round(parseFloat(order.total_price || 0) - summarizeRefunds(order.refunds || []).refundAmount);
+}
+
+function describeOrder(order, zone) {
+  return {
+    orderId: order.id,
+    orderName: order.name,
+    createdAt: formatTimestamp(order.created_at, undefined, zone),
+    paymentMethod: classifyPaymentMethod(order),
+    financialStatus: order.financial_status,
+    fulfillmentStatus: order.fulfillment_status || 'unfulfilled',
+    expected: expectedAmount(order)
+  };
+}
+
+// Delivered COD orders are the ones the courier owes money for
+function isDeliveredCod(order) {
+  return !order.cancelled_at && order.fulfillment_status === 'fulfilled' && classifyPaymentMethod(order) === 'cod';
+}
+
+// Match settlement lines to orders by name. Several lines for the same
+// order (split payouts, corrections) are added up before comparing.
+// rangeOrders are the orders created in the settlement period; delivered
+// COD orders among them with no line are reported as not settled.
+// Order dates are shown in the store's timezone.
+function reconcile(lines, ordersByName, rangeOrders, { timezone } = {}) {
+  const grouped = new Map();
+  for (const line of lines) {
+    const key = normalizeOrderNumber(line.orderNumber);
+    const group = grouped.get(key) || { orderNumber: line.orderNumber, rows: [], collected: 0, fees: 0 };
+    group.rows.push(line.row);
+    group.collected += line.collected;
+    group.fees += line.fees;
+    grouped.set(key, group);
+  }
+
+  const matched = [];
+  const mismatched = [];
+  const unknownLines = [];
+  const settledIds = new Set();
+
+  for (const [key, group] of grouped) {
+    const order = ordersByName.get(key);
+    const collected = round(group.collected);
+    const fees = round(group.fees);
+    if (!order) {
+      unknownLines.push({ orderNumber: group.orderNumber, rows: group.rows, collected, fees });
+      continue;
+    }
+    settledIds.add(order.id);
+    const entry = {
+      ...describeOrder(order, timezone),
+      rows: group.rows,
+      collected,
+      fees,
+      netPayout: round(collected - fees)
+    };
+    entry.difference = round(collected - entry.expected);
+    if (Math.abs(entry.difference) < AMOUNT_TOLERANCE) {
+      matched.push(entry);
+    } else {
+      mismatched.push(entry);
+    }
+  }
+
+  const notSettled = rangeOrders
+    .filter(order => isDeliveredCod(order) && !settledIds.has(order.id))
+    .map(order => describeOrder(order, timezone));
+
+  const sum = (entries, field) => round(entries.reduce((total, entry) => total + entry[field], 0));
+  const settled = [...matched, ...mismatched];
+  return {
+    summary: {
+      lineCount: lines.length,
+      matchedCount: matched.length,
+      mismatchedCount: mismatched.length,
+      notSettledCount: notSettled.length,
+      unknownLineCount: unknownLines.length,
+      collected: round(sum(settled, 'collected') + sum(unknownLines, 'collected')),
+      fees: round(sum(settled, 'fees') + sum(unknownLines, 'fees')),
+      expected: sum(settled, 'expected'),
+      difference: sum(mismatched, 'difference'),
+      notSettledAmount: sum(notSettled, 'expected')
+    },
+    matched,
+    mismatched,
+    notSettled,
+    unknownLines
+  };
+}
+
+function reportFile(id) {
+  // Ids are generated here; anything else can't name a report file
+  if (!/^[a-f0-9]{12}$/.test(id || '')) {
+    return null;
+  }
+  return path.join(REPORTS_DIR, `${id}.json`);
+}
+
+function saveReport(details) {
+  const report = {
+    id: crypto.randomBytes(6).toString('hex'),
+    createdAt: new Date().toISOString(),
+    ...details
+  };
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  fs.writeFileSync(reportFile(report.id), JSON.stringify(report, null, 2));
+  return report;
+}
+
+function getReport(id) {
+  const file = reportFile(id);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Newest first, without the per-order lists
+function listReports() {
+  if (!fs.existsSync(REPORTS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(REPORTS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const { matched, mismatched, notSettled, unknownLines, ...report } = JSON.parse(fs.readFileSync(path.join(REPORTS_DIR, file), 'utf8'));
+      return report;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function deleteReport(id) {
+  const file = reportFile(id);
+  if (!file || !fs.existsSync(file)) {
+    return false;
+  }
+  fs.unlinkSync(file);
+  return true;
+}
+
+const ORDER_COLUMNS = [
+  { header: 'Order', key: 'orderName', width: 12 },
+  { header: 'Order Date', key: 'createdAt', width: 18 },
+  { header: 'Payment Method', key: 'paymentMethod', width: 16 },
+  { header: 'Financial Status', key: 'financialStatus', width: 18 },
+  { header: 'Fulfillment Status', key: 'fulfillmentStatus', width: 18 },
+  { header: 'Expected', key: 'expected', width: 12 }
+];
+const SETTLED_COLUMNS = [
+  ...ORDER_COLUMNS,
+  { header: 'Collected', key: 'collected', width: 12 },
+  { header: 'Fees', key: 'fees', width: 10 },
+  { header: 'Net Payout', key: 'netPayout', width: 12 },
+  { header: 'Difference', key: 'difference', width: 12 },
+  { header: 'Sheet Rows', key: 'rows', width: 12 }
+];
+const UNKNOWN_COLUMNS = [
+  { header: 'Order Number', key: 'orderNumber', width: 16 },
+  { header: 'Collected', key: 'collected', width: 12 },
+  { header: 'Fees', key: 'fees', width: 10 },
+  { header: 'Sheet Rows', key: 'rows', width: 12 }
+];
+
+function addSheet(workbook, name, columns, entries) {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFE0E0E0' }
+  };
+  for (const entry of entries) {
+    worksheet.addRow({ ...entry, rows: (entry.rows || []).join(', ') });
+  }
+}
+
+// A report as an XLSX buffer, with a summary sheet and one sheet per outcome
+async function buildReportWorkbook(report) {
+  const workbook = new ExcelJS.Workbook();
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ width: 28 }, { width: 40 }];
+  const { summary: totals } = report;
+  summary.addRows([
+    ['File', report.fileName],
+    ...(report.storeName ? [['Store', report.storeName]] : []),
+    ['Column Mapping', report.mapping],
+    ['Orders From', report.startDate || ''],
+    ['Orders To', report.endDate || ''],
+    ['Reconciled At', formatTimestamp(report.createdAt)],
+    [],
+    ['Settlement Lines', totals.lineCount],
+    ['Matched Orders', totals.matchedCount],
+    ['Amount Mismatches', totals.mismatchedCount],
+    ['Delivered, Not Settled', totals.notSettledCount],
+    ['Lines Without an Order', totals.unknownLineCount],
+    [],
+    ['Collected', totals.collected],
+    ['Fees', totals.fees],
+    ['Net Payout', round(totals.collected - totals.fees)],
+    ['Expected (Settled Orders)', totals.expected],
+    ['Mismatch Difference', totals.difference],
+    ['Not Settled Amount', totals.notSettledAmount]
+  ]);
+  summary.getColumn(1).font = { bold: true };
+
+  addSheet(workbook, 'Matched', SETTLED_COLUMNS, report.matched);
+  addSheet(workbook, 'Amount Mismatches', SETTLED_COLUMNS, report.mismatched);
+  addSheet(workbook, 'Not Settled', ORDER_COLUMNS, report.notSettled);
+  addSheet(workbook, 'No Order', UNKNOWN_COLUMNS, report.unknownLines);
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  DEFAULT_MAPPING_NAME,
+  listMappings,
+  getMapping,
+  saveMapping,
+  deleteMapping,
+  parseSettlement,
+  normalizeOrderNumber,
+  reconcile,
+  saveReport,
+  getReport,
+  listReports,
+  deleteReport,
+  buildReportWorkbook
+};
@@ -0,0 +1,86 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Reading the CSV and XLSX sheets couriers send: settlement sheets and AWB
+// (tracking number) files.
+
+// Header rows are looked for in the first rows of the sheet, below any
+// title or logo rows the courier adds
+const HEADER_SEARCH_ROWS = 20;
+
+// Plain value of an exceljs cell: formula results, rich text and hyperlinks
+// are reduced to what the cell shows
+function cellValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return '';
+  }
+  return value;
+}
+
+function normalizeHeader(value) {
+  return cellValue(value).toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Order numbers are compared without "#", spaces or case
+function normalizeOrderNumber(value) {
+  return cellValue(value).toString().replace(/[#\s]/g, '').toUpperCase();
+}
+
+// Rows of the first worksheet as arrays of cell values. XLSX files are
+// recognised by their zip signature, anything else is read as CSV.
+async function readSheetRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    worksheet = await workbook.csv.read(Readable.from([text]));
+  }
+  if (!worksheet) {
+    throw new Error('The file has no worksheet');
+  }
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // row.values is 1-based; drop the empty first slot
+    rows.push({ rowNumber, cells: row.values.slice(1).map(cellValue) });
+  });
+  return rows;
+}
+
+// Find the header row by its key column and the index of each wanted column
+// in it (-1 when missing). Throws a 400 when no header row has the key column.
+function findColumns(rows, keyTitle, titles) {
+  const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row =>
+    row.cells.map(normalizeHeader).includes(normalizeHeader(keyTitle)));
+  if (headerIndex === -1) {
+    const error = new Error(`No "${keyTitle}" column found in the first ${HEADER_SEARCH_ROWS} rows`);
+    error.status = 400;
+    throw error;
+  }
+
+  const headers = rows[headerIndex].cells.map(normalizeHeader);
+  const columnIndex = {};
+  for (const title of titles) {
+    columnIndex[title] = headers.indexOf(normalizeHeader(title));
+  }
+  return { headerIndex, columnIndex };
+}
+
+module.exports = {
+  cellValue,
+  normalizeHeader,
+  normalizeOrderNumber,
+  readSheetRows,
+  findColumns
+};
@@ -0,0 +1,234 @@
+const axios = require('axios');
+
+// Shopify Admin API client shared by every caller. REST requests are paced
+// with the same leaky bucket Shopify uses (capacity and usage are read back
+// from X-Shopify-Shop-Api-Call-Limit); GraphQL requests with the query cost
+// bucket Shopify reports in extensions.cost. 429s, 5xx responses, throttled
+// GraphQL queries and network failures are retried with jittered exponential
+// backoff. Requests that create something (REST POSTs and GraphQL
+// mutations) are only retried when Shopify can't have acted on them: after
+// a 429 or when the connection was never made. A timeout or 5xx may come
+// after the write went through, and sending it again would repeat it.
+
+// Admin API version of REST and GraphQL requests alike. SHOPIFY_GRAPHQL_API_VERSION
+// is its older name, from when only GraphQL requests followed it.
+const API_VERSION = process.env.SHOPIFY_API_VERSION || process.env.SHOPIFY_GRAPHQL_API_VERSION || '2025-01';
+
+const RETRYABLE_NETWORK_ERRORS = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+// Failures that happen before the request reaches Shopify
+const UNSENT_NETWORK_ERRORS = ['EAI_AGAIN', 'ECONNREFUSED'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryable(error, idempotent) {
+  const status = error.response?.status;
+  if (!idempotent) {
+    return status === 429 || (!status && UNSENT_NETWORK_ERRORS.includes(error.code));
+  }
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_NETWORK_ERRORS.includes(error.code) || error.message?.includes('timeout');
+}
+
+// Retry-After is given in seconds (possibly fractional) or as an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function createShopifyClient({
+  shopName,
+  accessToken,
+  apiVersion = API_VERSION,
+  baseUrl = process.env.SHOPIFY_API_BASE_URL,
+  leakRate = parseFloat(process.env.SHOPIFY_LEAK_RATE || '2'),
+  maxRetries = parseInt(process.env.SHOPIFY_MAX_RETRIES || '5', 10),
+  baseDelayMs = parseInt(process.env.SHOPIFY_RETRY_BASE_MS || '1000', 10),
+  maxDelayMs = 30000,
+  timeout = 60000
+}) {
+  const shopBase = (baseUrl || `https://${shopName}`).replace(/\/$/, '');
+  const apiBase = `${shopBase}/admin/api/${apiVersion}`;
+  const graphqlUrl = `${apiBase}/graphql.json`;
+
+  // Bucket state as last reported by Shopify; it drains at leakRate per second
+  const bucket = { used: 0, capacity: 40, updatedAt: Date.now() };
+  // GraphQL cost points as last reported by Shopify; they refill at restoreRate per second
+  const costBucket = { available: 1000, maximum: 1000, restoreRate: 50, updatedAt: Date.now() };
+
+  const metrics = {
+    requests: 0,
+    retries: 0,
+    throttled: 0,
+    failures: 0,
+    paceWaitMs: 0,
+    backoffWaitMs: 0,
+    graphqlCost: 0
+  };
+
+  function logEvent(event, details) {
+    console.log('[shopify]', JSON.stringify({ event, ...details }));
+  }
+
+  function currentUsage() {
+    const leaked = ((Date.now() - bucket.updatedAt) / 1000) * leakRate;
+    return Math.max(bucket.used - leaked, 0);
+  }
+
+  // Wait until the bucket has room for one more call, keeping one slot spare
+  // for other clients of the same shop
+  async function pace() {
+    const overflow = currentUsage() + 2 - bucket.capacity;
+    if (overflow > 0) {
+      const waitMs = Math.ceil((overflow / leakRate) * 1000);
+      metrics.paceWaitMs += waitMs;
+      logEvent('pace', { waitMs, used: Math.round(currentUsage()), capacity: bucket.capacity });
+      await sleep(waitMs);
+    }
+  }
+
+  function updateBucket(headers) {
+    const callLimit = headers?.['x-shopify-shop-api-call-limit'];
+    const match = callLimit && callLimit.match(/^(\d+)\/(\d+)$/);
+    if (match) {
+      bucket.used = parseInt(match[1], 10);
+      bucket.capacity = parseInt(match[2], 10);
+      bucket.updatedAt = Date.now();
+    }
+  }
+
+  function availablePoints() {
+    const restored = ((Date.now() - costBucket.updatedAt) / 1000) * costBucket.restoreRate;
+    return Math.min(costBucket.available + restored, costBucket.maximum);
+  }
+
+  // Wait until the cost bucket holds enough points for a query
+  async function paceCost(cost) {
+    const missing = Math.min(cost, costBucket.maximum) - availablePoints();
+    if (missing > 0) {
+      const waitMs = Math.ceil((missing / costBucket.restoreRate) * 1000);
+      metrics.paceWaitMs += waitMs;
+      logEvent('pace', { waitMs, available: Math.round(availablePoints()), cost });
+      await sleep(waitMs);
+    }
+  }
+
+  function updateCostBucket(cost) {
+    const throttleStatus = cost?.throttleStatus;
+    if (throttleStatus) {
+      costBucket.available = throttleStatus.currentlyAvailable;
+      costBucket.maximum = throttleStatus.maximumAvailable;
+      costBucket.restoreRate = throttleStatus.restoreRate;
+      costBucket.updatedAt = Date.now();
+    }
+  }
+
+  function backoffDelay(attempt, error) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    // Full jitter: anywhere between 0 and the exponential ceiling
+    const ceiling = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  // Request a path relative to the Admin API root, e.g. "orders.json?limit=250".
+  // Resolves with the full axios response so callers can read the Link header.
+  function request(method, endpoint, data) {
+    return send(method, `${apiBase}/${endpoint}`, data, endpoint, method !== 'post');
+  }
+
+  async function send(method, url, data, endpoint, idempotent) {
+    for (let attempt = 0; ; attempt++) {
+      await pace();
+      metrics.requests++;
+      try {
+        const response = await axios({
+          method,
+          url,
+          data,
+          headers: {
+            'X-Shopify-Access-Token': accessToken,
+            'Content-Type': 'application/json'
+          },
+          timeout
+        });
+        updateBucket(response.headers);
+        return response;
+      } catch (error) {
+        updateBucket(error.response?.headers);
+        const status = error.response?.status;
+        if (status === 429) {
+          metrics.throttled++;
+          // A 429 means the bucket is full whatever our estimate said
+          bucket.used = bucket.capacity;
+          bucket.updatedAt = Date.now();
+        }
+        if (!isRetryable(error, idempotent) || attempt >= maxRetries) {
+          metrics.failures++;
+          logEvent('failure', { method, endpoint, status, code: error.code, attempts: attempt + 1 });
+          throw error;
+        }
+        const waitMs = backoffDelay(attempt, error);
+        metrics.retries++;
+        metrics.backoffWaitMs += waitMs;
+        logEvent('retry', { method, endpoint, status, code: error.code, attempt: attempt + 1, waitMs });
+        await sleep(waitMs);
+      }
+    }
+  }
+
+  // Run a GraphQL query and resolve with its data. Queries Shopify refuses as
+  // THROTTLED wait for the cost bucket to refill and are sent again; any other
+  // error in the response is thrown with the messages Shopify gave.
+  const queryCosts = new Map();
+
+  async function graphql(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await paceCost(queryCosts.get(query) || 100);
+      const response = await send('post', graphqlUrl, { query, variables }, 'graphql.json', !/^\s*mutation\b/.test(query));
+      const { data, errors, extensions } = response.data;
+      updateCostBucket(extensions?.cost);
+      if (extensions?.cost) {
+        queryCosts.set(query, extensions.cost.requestedQueryCost);
+        metrics.graphqlCost += extensions.cost.actualQueryCost || 0;
+      }
+
+      if (errors?.some(error => error.extensions?.code === 'THROTTLED') && attempt < maxRetries) {
+        metrics.throttled++;
+        metrics.retries++;
+        logEvent('retry', { method: 'post', endpoint: 'graphql.json', code: 'THROTTLED', attempt: attempt + 1 });
+        continue;
+      }
+      if (errors?.length) {
+        metrics.failures++;
+        const error = new Error(`Shopify GraphQL error: ${errors.map(e => e.message).join('; ')}`);
+        error.graphqlErrors = errors;
+        throw error;
+      }
+      return data;
+    }
+  }
+
+  return {
+    get: endpoint => request('get', endpoint),
+    graphql,
+    post: (endpoint, data) => request('post', endpoint, data),
+    put: (endpoint, data) => request('put', endpoint, data),
+    getMetrics: () => ({
+      ...metrics,
+      bucket: { used: Math.round(currentUsage()), capacity: bucket.capacity },
+      costBucket: { available: Math.round(availablePoints()), maximum: costBucket.maximum }
+    }),
+    logMetrics: label => logEvent('metrics', { label, ...metrics })
+  };
+}
+
+module.exports = { createShopifyClient };
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const orderStore = require('./orderStore');
+const { createShopifyClient } = require('./shopifyClient');
+const { isValidTimezone, getTimezone } = require('./timezone');
+
+// Shopify stores the app works with. The store from the SHOPIFY_* environment
+// variables (if set) comes first and is the default; more are added through
+// the API or by editing stores.json:
+//   [{ id, name, shopName, accessToken, webhookSecret?, timezone?, currency?, orderSource? }]
+// Timezone and currency are read from the shop's shop.json unless set here.
+// orderSource picks how orders are fetched: "rest" (orders.json) or "graphql"
+// (the GraphQL Admin API); SHOPIFY_ORDER_SOURCE sets the default.
+//
+// Callers work with store contexts: the store's settings plus its Shopify
+// client (store.shopify) and local order store (store.orders).
+const DATA_DIR = orderStore.DATA_DIR;
+const STORES_FILE = path.join(DATA_DIR, 'stores.json');
+const ORDER_SOURCES = ['rest', 'graphql'];
+
+let cache = null;
+const contexts = new Map();
+// Timezone and currency reported by each shop, by store id
+const shopDetails = new Map();
+// Number of running syncs, exports, print requests and write-backs of each
+// store, by store id; see useStores
+const usage = new Map();
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function loadStores() {
+  if (!cache) {
+    cache = fs.existsSync(STORES_FILE) ? JSON.parse(fs.readFileSync(STORES_FILE, 'utf8')) : [];
+  }
+  return cache;
+}
+
+function saveStores() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(STORES_FILE, JSON.stringify(cache, null, 2));
+}
+
+function getEnvStore() {
+  const { SHOPIFY_SHOP_NAME, SHOPIFY_ADMIN_ACCESS_TOKEN } = process.env;
+  if (!SHOPIFY_SHOP_NAME || !SHOPIFY_ADMIN_ACCESS_TOKEN) {
+    return null;
+  }
+  return {
+    id: process.env.STORE_ID || 'default',
+    name: process.env.STORE_NAME || SHOPIFY_SHOP_NAME,
+    shopName: SHOPIFY_SHOP_NAME,
+    accessToken: SHOPIFY_ADMIN_ACCESS_TOKEN,
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+    timezone: process.env.SHOP_TIMEZONE,
+    currency: process.env.SHOP_CURRENCY,
+    orderSource: process.env.SHOPIFY_ORDER_SOURCE,
+    fromEnv: true
+  };
+}
+
+function getConfigs() {
+  return [getEnvStore(), ...loadStores()].filter(Boolean);
+}
+
+// The environment store keeps the original orders.db; the others get their own file
+function getDbFile(config) {
+  return config.fromEnv ? undefined : path.join(DATA_DIR, `orders-${config.id}.db`);
+}
+
+function createContext(config) {
+  return {
+    id: config.id,
+    name: config.name,
+    shopName: config.shopName,
+    webhookSecret: config.webhookSecret || process.env.SHOPIFY_WEBHOOK_SECRET,
+    orderSource: config.orderSource || process.env.SHOPIFY_ORDER_SOURCE || 'rest',
+    fromEnv: Boolean(config.fromEnv),
+    get timezone() {
+      return config.timezone || shopDetails.get(config.id)?.timezone || getTimezone();
+    },
+    get currency() {
+      return config.currency || shopDetails.get(config.id)?.currency || '';
+    },
+    shopify: createShopifyClient({ shopName: config.shopName, accessToken: config.accessToken }),
+    orders: orderStore.open(getDbFile(config))
+  };
+}
+
+function getContext(config) {
+  if (!contexts.has(config.id)) {
+    contexts.set(config.id, createContext(config));
+  }
+  return contexts.get(config.id);
+}
+
+function listStores() {
+  return getConfigs().map(getContext);
+}
+
+function getStore(id) {
+  const config = getConfigs().find(candidate => candidate.id === id);
+  return config ? getContext(config) : null;
+}
+
+function getDefaultStore() {
+  const [config] = getConfigs();
+  return config ? getContext(config) : null;
+}
+
+// The store named by a request's store parameter, or the default store
+function resolveStore(id) {
+  if (id) {
+    const store = getStore(id);
+    if (!store) {
+      throw httpError(`Unknown store "${id}"`, 404);
+    }
+    return store;
+  }
+  const store = getDefaultStore();
+  if (!store) {
+    throw httpError('No Shopify store is configured', 503);
+  }
+  return store;
+}
+
+// Webhooks say which shop they come from in X-Shopify-Shop-Domain
+function findStoreByDomain(domain) {
+  const name = (domain || '').toLowerCase();
+  return listStores().find(store => store.shopName.toLowerCase() === name) || null;
+}
+
+// Store as returned by the API, without credentials
+function describeStore(store) {
+  return {
+    id: store.id,
+    name: store.name,
+    shopName: store.shopName,
+    timezone: store.timezone,
+    currency: store.currency,
+    webhookSecretSet: Boolean(store.webhookSecret),
+    orderSource: store.orderSource,
+    fromEnv: store.fromEnv
+  };
+}
+
+// Read the timezone and currency Shopify reports for a store
+async function loadShopDetails(store) {
+  const { shop } = (await store.shopify.get('shop.json')).data;
+  const details = { currency: shop?.currency || '' };
+  if (isValidTimezone(shop?.iana_timezone)) {
+    details.timezone = shop.iana_timezone;
+  } else {
+    console.error(`Store ${store.id}: shop timezone "${shop?.iana_timezone}" is not a known IANA timezone`);
+  }
+  shopDetails.set(store.id, details);
+  return store;
+}
+
+function validateStore(data, existing) {
+  const store = { ...existing, ...data };
+  const id = (store.id || '').toString().trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(id)) {
+    throw httpError('Store id may only contain letters, numbers, "-" and "_"', 400);
+  }
+  const shopName = (store.shopName || '').toString().trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!shopName) {
+    throw httpError('Store requires the shop domain, e.g. my-brand.myshopify.com', 400);
+  }
+  if (!store.accessToken) {
+    throw httpError('Store requires an Admin API access token', 400);
+  }
+  if (store.timezone && !isValidTimezone(store.timezone)) {
+    throw httpError(`Unknown timezone "${store.timezone}"`, 400);
+  }
+  if (store.currency && !/^[A-Z]{3}$/.test(store.currency)) {
+    throw httpError('Currency must be a three-letter code such as EGP', 400);
+  }
+  if (store.orderSource && !ORDER_SOURCES.includes(store.orderSource)) {
+    throw httpError(`Order source must be one of ${ORDER_SOURCES.join(', ')}`, 400);
+  }
+  return {
+    id,
+    name: (store.name || '').toString().trim() || shopName,
+    shopName,
+    accessToken: store.accessToken.toString().trim(),
+    webhookSecret: store.webhookSecret || undefined,
+    timezone: store.timezone || undefined,
+    currency: store.currency || undefined,
+    orderSource: store.orderSource || undefined
+  };
+}
+
+function createStore(data) {
+  const store = validateStore(data, {});
+  if (getConfigs().some(config => config.id === store.id)) {
+    throw httpError(`Store "${store.id}" already exists`, 409);
+  }
+  loadStores().push(store);
+  saveStores();
+  return getContext(store);
+}
+
+// Run fn with the stores marked in use, so that they aren't removed or moved
+// to another shop (which closes or empties their order database) under it
+async function useStores(list, fn) {
+  const ids = list.map(store => store.id);
+  for (const id of ids) {
+    usage.set(id, (usage.get(id) || 0) + 1);
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const id of ids) {
+      usage.set(id, usage.get(id) - 1);
+    }
+  }
+}
+
+function assertNotInUse(id) {
+  if (usage.get(id) > 0) {
+    throw httpError('The store has a sync, export, print or write-back running; try again when it has finished', 409);
+  }
+}
+
+// Change a store's settings. Blank credentials keep the current ones, so the
+// dashboard never needs to see them. The store from the environment is
+// changed through its environment variables instead. Moving the store to
+// another shop empties its order database, so the new shop is backfilled.
+function updateStore(id, data) {
+  const stores = loadStores();
+  const index = stores.findIndex(store => store.id === id);
+  if (index === -1) {
+    if (getEnvStore()?.id === id) {
+      throw httpError('This store is configured by environment variables', 400);
+    }
+    return null;
+  }
+  const changes = { ...data, id };
+  for (const key of ['accessToken', 'webhookSecret']) {
+    if (!changes[key]) delete changes[key];
+  }
+  const updated = validateStore(changes, stores[index]);
+  const shopChanged = updated.shopName.toLowerCase() !== stores[index].shopName.toLowerCase();
+  if (shopChanged) {
+    assertNotInUse(id);
+  }
+  stores[index] = updated;
+  saveStores();
+  // The new context shares the open order database, which keeps its file
+  if (shopChanged) {
+    contexts.get(id)?.orders.clear();
+    shopDetails.delete(id);
+  }
+  contexts.delete(id);
+  return getContext(updated);
+}
+
+// Remove a store from the registry and close its order database, which is
+// left on disk. Fails with a 409 while the store is in use; callers stop
+// the store's running sync first.
+function deleteStore(id) {
+  const stores = loadStores();
+  const index = stores.findIndex(store => store.id === id);
+  if (index === -1) {
+    if (getEnvStore()?.id === id) {
+      throw httpError('This store is configured by environment variables', 400);
+    }
+    return false;
+  }
+  assertNotInUse(id);
+  stores.splice(index, 1);
+  saveStores();
+  contexts.get(id)?.orders.close();
+  contexts.delete(id);
+  shopDetails.delete(id);
+  return true;
+}
+
+module.exports = {
+  listStores,
+  getStore,
+  getDefaultStore,
+  resolveStore,
+  findStoreByDomain,
+  describeStore,
+  loadShopDetails,
+  createStore,
+  updateStore,
+  deleteStore,
+  useStores
+};
@@ -0,0 +1,92 @@
+const moment = require('moment-timezone');
+
+// IANA timezones of the shops. Date-range filters are whole days in a
+// store's zone and every exported or displayed timestamp is formatted in it,
+// so DST is handled by the tz database instead of a fixed offset. Functions
+// take the zone to use and fall back to the default store's timezone.
+const DEFAULT_TIMEZONE = 'Africa/Cairo';
+const TIMESTAMP_FORMAT = 'YYYY-MM-DD HH:mm';
+
+let timezone = process.env.SHOP_TIMEZONE || DEFAULT_TIMEZONE;
+
+function isValidTimezone(name) {
+  return Boolean(name && moment.tz.zone(name));
+}
+
+if (!isValidTimezone(timezone)) {
+  console.error(`Unknown SHOP_TIMEZONE "${timezone}", using ${DEFAULT_TIMEZONE}`);
+  timezone = DEFAULT_TIMEZONE;
+}
+
+function getTimezone() {
+  return timezone;
+}
+
+// Make the default store's timezone the default for everything else
+function setTimezone(name) {
+  if (isValidTimezone(name)) {
+    timezone = name;
+  }
+  return timezone;
+}
+
+// Plain YYYY-MM-DD dates are days in the shop timezone; anything else is
+// taken as an exact instant
+function parseDay(value, zone) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return moment.tz(value, 'YYYY-MM-DD', true, zone);
+  }
+  return null;
+}
+
+// The day ends one millisecond before the next one starts; endOf('day')
+// would stop at the first 23:59 of a day that repeats an hour for DST
+const BOUNDARIES = {
+  start: day => day.startOf('day'),
+  end: day => day.add(1, 'day').startOf('day').subtract(1, 'millisecond')
+};
+
+function toInstant(value, boundary, zone) {
+  if (!value) {
+    return undefined;
+  }
+  const day = parseDay(value, zone);
+  const instant = day ? BOUNDARIES[boundary](day) : moment(value, moment.ISO_8601);
+  if (!instant.isValid()) {
+    const error = new Error(`Invalid date "${value}"`);
+    error.status = 400;
+    throw error;
+  }
+  return instant.toISOString();
+}
+
+// UTC instant of the first millisecond of a shop-local day
+function startOfDay(value, zone = timezone) {
+  return toInstant(value, 'start', zone);
+}
+
+// UTC instant of the last millisecond of a shop-local day
+function endOfDay(value, zone = timezone) {
+  return toInstant(value, 'end', zone);
+}
+
+function formatTimestamp(timestamp, format = TIMESTAMP_FORMAT, zone = timezone) {
+  return timestamp ? moment(timestamp).tz(zone).format(format) : '';
+}
+
+// A Date whose UTC fields read as the shop-local time of timestamp. Excel
+// date cells have no timezone, so this is what makes a cell show the time
+// in the store's zone whatever the server's.
+function toSpreadsheetDate(timestamp, zone = timezone) {
+  return timestamp ? new Date(moment(timestamp).tz(zone).format('YYYY-MM-DDTHH:mm:ss') + 'Z') : null;
+}
+
+module.exports = {
+  isValidTimezone,
+  getTimezone,
+  setTimezone,
+  startOfDay,
+  endOfDay,
+  formatTimestamp,
+  toSpreadsheetDate
+};
@@ -0,0 +1,159 @@
+const mappings = require('./mappings');
+
+// Data quality checks run on orders before they go to a courier: phones,
+// addresses, cities, emails and likely duplicates. Each problem found is an
+// issue { code, severity, field, message }; "error" issues will get an
+// upload rejected, "warning" issues are worth a look.
+//
+// Egyptian mobile numbers are normalized to one format for the exports and
+// printed documents: PHONE_FORMAT "local" (01001234567, the default) or
+// "international" (+201001234567).
+const PHONE_FORMAT = process.env.PHONE_FORMAT === 'international' ? 'international' : 'local';
+// Shorter street addresses are flagged as too short to deliver to
+const MIN_ADDRESS_LENGTH = parseInt(process.env.MIN_ADDRESS_LENGTH || '10', 10);
+// Orders from the same phone this close together are flagged as duplicates
+const DUPLICATE_WINDOW_HOURS = parseFloat(process.env.DUPLICATE_WINDOW_HOURS || '48');
+
+// Arabic-Indic and Eastern Arabic-Indic digits as 0-9
+function toLatinDigits(value) {
+  return value
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+// An Egyptian mobile number (010, 011, 012 or 015 and eight digits) in
+// PHONE_FORMAT, whichever way it was typed: with +20, 0020 or 20 in front,
+// with or without the leading 0, with spaces or dashes. Null for anything else.
+function normalizePhone(value) {
+  const digits = toLatinDigits((value || '').toString()).replace(/\D/g, '');
+  const national = digits.replace(/^(00)?200?(?=1\d{9}$)/, '0').replace(/^(?=1\d{9}$)/, '0');
+  if (!/^01[0125]\d{8}$/.test(national)) {
+    return null;
+  }
+  return PHONE_FORMAT === 'international' ? `+20${national.slice(1)}` : national;
+}
+
+// The phone as exported: normalized when it is an Egyptian mobile number,
+// otherwise as entered without spaces
+function formatPhone(value) {
+  return normalizePhone(value) || (value || '').replace(/\s/g, '');
+}
+
+// The phone the courier calls, as the shipping_phone export column has it
+function getShippingPhone(order) {
+  return order.shipping_address?.phone || order.phone || '';
+}
+
+function issue(code, severity, field, message) {
+  return { code, severity, field, message };
+}
+
+function checkPhone(order) {
+  const phone = getShippingPhone(order);
+  if (!phone.trim()) {
+    return [issue('missing_phone', 'error', 'phone', 'No phone number')];
+  }
+  if (!normalizePhone(phone)) {
+    return [issue('invalid_phone', 'error', 'phone', `"${phone}" is not an Egyptian mobile number`)];
+  }
+  return [];
+}
+
+// The exports fall back to the billing address, which may not be where the
+// order should go
+function checkAddress(order) {
+  const address = order.shipping_address || order.billing_address;
+  const street = `${address?.address1 || ''} ${address?.address2 || ''}`.trim();
+  if (!street) {
+    return [issue('missing_address', 'error', 'address', 'No street address')];
+  }
+  const issues = [];
+  if (!order.shipping_address) {
+    issues.push(issue('billing_address_used', 'warning', 'address', 'No shipping address; the billing address is used'));
+  }
+  if (street.length < MIN_ADDRESS_LENGTH) {
+    issues.push(issue('short_address', 'warning', 'address', `Address "${street}" is shorter than ${MIN_ADDRESS_LENGTH} characters`));
+  }
+  return issues;
+}
+
+function checkCity(order) {
+  if (mappings.resolveCityCode(order)) {
+    return [];
+  }
+  const address = order.shipping_address || order.billing_address || {};
+  const city = address.city || address.province;
+  return [issue('unknown_city', 'error', 'city', city ? `City "${city}" doesn't match a city mapping` : 'No city')];
+}
+
+function checkEmail(order) {
+  return order.customer?.email || order.email || order.shipping_address?.email
+    ? []
+    : [issue('missing_email', 'warning', 'email', 'No email address')];
+}
+
+// Orders placed from the same phone within DUPLICATE_WINDOW_HOURS of each
+// other, as a map from order id to the names of the other orders. Cancelled
+// orders are left out.
+function findDuplicates(orders) {
+  const byPhone = new Map();
+  for (const order of orders) {
+    const phone = normalizePhone(getShippingPhone(order));
+    if (!phone || order.cancelled_at) continue;
+    byPhone.set(phone, [...(byPhone.get(phone) || []), order]);
+  }
+
+  const windowMs = DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+  const duplicates = new Map();
+  for (const samePhone of byPhone.values()) {
+    for (const order of samePhone) {
+      const time = new Date(order.created_at).getTime();
+      const others = samePhone.filter(other => other !== order && Math.abs(new Date(other.created_at).getTime() - time) <= windowMs);
+      if (others.length > 0) {
+        duplicates.set(String(order.id), others.map(other => other.name));
+      }
+    }
+  }
+  return duplicates;
+}
+
+// Issues of one order, errors first. duplicates comes from findDuplicates
+// over the orders it is being compared with.
+function validateOrder(order, duplicates = new Map()) {
+  const issues = [...checkPhone(order), ...checkAddress(order), ...checkCity(order), ...checkEmail(order)];
+  const others = duplicates.get(String(order.id));
+  if (others) {
+    issues.push(issue('possible_duplicate', 'warning', 'phone', `Same phone as ${others.join(', ')} within ${DUPLICATE_WINDOW_HOURS} hours`));
+  }
+  return issues.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+}
+
+// Counts for a set of checked orders ({ issues } each): how many orders have
+// errors or only warnings, and how often each issue came up
+function summarizeIssues(results) {
+  const counts = {};
+  let ordersWithErrors = 0;
+  let ordersWithWarnings = 0;
+  for (const { issues } of results) {
+    if (issues.some(found => found.severity === 'error')) {
+      ordersWithErrors++;
+    } else if (issues.length > 0) {
+      ordersWithWarnings++;
+    }
+    for (const found of issues) {
+      counts[found.code] = (counts[found.code] || 0) + 1;
+    }
+  }
+  return { ordersChecked: results.length, ordersWithErrors, ordersWithWarnings, counts };
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_HOURS,
+  toLatinDigits,
+  normalizePhone,
+  formatPhone,
+  getShippingPhone,
+  findDuplicates,
+  validateOrder,
+  summarizeIssues
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Shopify webhook topics the app subscribes to. Each is delivered to
+// /webhooks/<topic>, e.g. /webhooks/orders/create.
+const TOPICS = ['orders/create', 'orders/updated', 'orders/cancelled', 'refunds/create'];
+
+// Shopify signs the raw request body with the app's secret and sends the
+// base64 HMAC-SHA256 in X-Shopify-Hmac-Sha256
+function verifyHmac(rawBody, hmacHeader, secret) {
+  if (!secret || !hmacHeader || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Add a refund from refunds/create to its stored order, unless the order
+// already has it (orders/updated may have arrived first)
+function applyRefund(order, refund) {
+  const refunds = order.refunds || [];
+  if (refunds.some(existing => existing.id === refund.id)) {
+    return order;
+  }
+  return { ...order, refunds: [...refunds, refund] };
+}
+
+function getWebhookAddress(baseUrl, topic) {
+  return `${baseUrl.replace(/\/$/, '')}/webhooks/${topic}`;
+}
+
+module.exports = {
+  TOPICS,
+  verifyHmac,
+  applyRefund,
+  getWebhookAddress
+};
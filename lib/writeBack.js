@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { formatTimestamp } = require('./timezone');
+const { cellValue, normalizeOrderNumber, readSheetRows, findColumns } = require('./sheets');
+
+// Changes written back to Shopify once orders are handed to a courier: a tag
+// on every exported order, and fulfillments carrying the tracking numbers
+// from the courier's AWB file. Every run is saved as a report with the
+// outcome per order. In a dry run Shopify is only read, so a run can be
+// checked (or tried against scripts/mock-shopify.js) before anything changes.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const REPORTS_DIR = path.join(DATA_DIR, 'write-back');
+
+// Tag added to exported orders. Text in braces is a date format, filled in
+// with the day of the export in the store's timezone.
+const EXPORT_TAG = process.env.EXPORT_TAG || 'exported-{YYYY-MM-DD}';
+
+// AWB file column titles, unless the upload names others
+const AWB_COLUMNS = {
+  orderNumberColumn: 'Order Number',
+  trackingNumberColumn: 'Tracking Number',
+  carrierColumn: 'Carrier'
+};
+
+// Fulfillment orders Shopify will still create a fulfillment for
+const FULFILLABLE_STATUSES = ['open', 'in_progress'];
+
+function formatExportTag(store, date = new Date()) {
+  return EXPORT_TAG.replace(/\{([^}]+)\}/g, (match, format) => formatTimestamp(date, format, store.timezone));
+}
+
+function splitTags(tags) {
+  return (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// What Shopify said when it refused a write: a message, a list, or messages
+// per field
+function describeError(error) {
+  const errors = error.response?.data?.errors;
+  if (!errors) {
+    return error.message;
+  }
+  if (typeof errors === 'string') {
+    return errors;
+  }
+  if (Array.isArray(errors)) {
+    return errors.join('; ');
+  }
+  return Object.entries(errors).map(([field, messages]) => `${field}: ${[].concat(messages).join(', ')}`).join('; ');
+}
+
+// Whether none of fulfillmentOrders is still open to fulfill, read back
+// from Shopify
+async function isFulfilled(store, order, fulfillmentOrders) {
+  const { fulfillment_orders: current } = (await store.shopify.get(`orders/${order.id}/fulfillment_orders.json`)).data;
+  const ids = new Set(fulfillmentOrders.map(fulfillmentOrder => fulfillmentOrder.id));
+  return current.every(fulfillmentOrder => !ids.has(fulfillmentOrder.id) || !FULFILLABLE_STATUSES.includes(fulfillmentOrder.status));
+}
+
+// Add tag to each order ({ id, name }) of one store. Tags are read from
+// Shopify first, so tags added since the order was synced are kept, and
+// orders that already have it are skipped. The stored copy is updated so
+// the dashboard shows the tag before the next sync.
+async function tagOrders(store, orders, tag, { dryRun = false, onProgress } = {}) {
+  const results = [];
+  for (const order of orders) {
+    const result = { store: store.id, orderId: order.id, orderNumber: order.name };
+    try {
+      const { order: current } = (await store.shopify.get(`orders/${order.id}.json?fields=id,tags`)).data;
+      const tags = splitTags(current.tags);
+      if (tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        Object.assign(result, { status: 'skipped', message: 'Already tagged' });
+      } else if (dryRun) {
+        Object.assign(result, { status: 'dry_run', message: `Would add "${tag}"` });
+      } else {
+        const { order: updated } = (await store.shopify.put(`orders/${order.id}.json`, {
+          order: { id: order.id, tags: [...tags, tag].join(', ') }
+        })).data;
+        const stored = store.orders.getOrder(order.id);
+        if (stored) {
+          store.orders.upsertOrders([{ ...stored, tags: updated.tags, updated_at: updated.updated_at }]);
+        }
+        Object.assign(result, { status: 'success', message: `Added "${tag}"` });
+      }
+    } catch (error) {
+      Object.assign(result, { status: 'failed', message: describeError(error) });
+    }
+    results.push(result);
+    onProgress?.(results.length);
+  }
+  return results;
+}
+
+// Lines of an AWB file: order number, tracking number and carrier. The
+// carrier column is optional; lines without one use the upload's carrier.
+async function parseAwbFile(buffer, {
+  orderNumberColumn = AWB_COLUMNS.orderNumberColumn,
+  trackingNumberColumn = AWB_COLUMNS.trackingNumberColumn,
+  carrierColumn = AWB_COLUMNS.carrierColumn
+} = {}) {
+  const rows = await readSheetRows(buffer);
+  const { headerIndex, columnIndex } = findColumns(rows, orderNumberColumn, [orderNumberColumn, trackingNumberColumn, carrierColumn]);
+  if (columnIndex[trackingNumberColumn] === -1) {
+    const error = new Error(`Missing column: ${trackingNumberColumn}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const read = (row, title) => columnIndex[title] === -1 ? '' : cellValue(row.cells[columnIndex[title]]).toString().trim();
+  return rows.slice(headerIndex + 1)
+    .map(row => ({
+      row: row.rowNumber,
+      orderNumber: read(row, orderNumberColumn),
+      trackingNumber: read(row, trackingNumberColumn),
+      carrier: read(row, carrierColumn)
+    }))
+    // Blank and total rows have no order number
+    .filter(line => line.orderNumber);
+}
+
+// Create a fulfillment with tracking for each AWB line. ordersByName maps
+// normalized order numbers to the store's orders. Everything Shopify still
+// has to fulfill for the order is fulfilled, one fulfillment per location;
+// an order on more than one line is only fulfilled for the first.
+async function createFulfillments(store, lines, ordersByName, { carrier = '', notifyCustomer = true, dryRun = false, onProgress } = {}) {
+  const results = [];
+  const seen = new Set();
+  for (const line of lines) {
+    const order = ordersByName.get(normalizeOrderNumber(line.orderNumber));
+    const company = line.carrier || carrier;
+    const result = { row: line.row, orderNumber: order?.name || line.orderNumber, orderId: order?.id || null, trackingNumber: line.trackingNumber, carrier: company };
+    try {
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      if (!line.trackingNumber) {
+        throw new Error('No tracking number');
+      }
+      if (seen.has(order.id)) {
+        Object.assign(result, { status: 'skipped', message: 'Order is on an earlier line of the file' });
+      } else {
+        seen.add(order.id);
+        const { fulfillment_orders: fulfillmentOrders } = (await store.shopify.get(`orders/${order.id}/fulfillment_orders.json`)).data;
+        const open = fulfillmentOrders.filter(fulfillmentOrder => FULFILLABLE_STATUSES.includes(fulfillmentOrder.status));
+        const itemCount = open.reduce((sum, fulfillmentOrder) =>
+          sum + fulfillmentOrder.line_items.reduce((count, item) => count + (item.fulfillable_quantity || 0), 0), 0);
+        if (open.length === 0) {
+          Object.assign(result, { status: 'skipped', message: order.cancelled_at ? 'Order is cancelled' : 'Nothing left to fulfill' });
+        } else if (dryRun) {
+          Object.assign(result, { status: 'dry_run', message: `Would fulfill ${itemCount} items` });
+        } else {
+          const byLocation = new Map();
+          for (const fulfillmentOrder of open) {
+            const location = fulfillmentOrder.assigned_location_id;
+            byLocation.set(location, [...(byLocation.get(location) || []), fulfillmentOrder]);
+          }
+          const fulfillmentIds = [];
+          for (const locationOrders of byLocation.values()) {
+            try {
+              const { fulfillment } = (await store.shopify.post('fulfillments.json', {
+                fulfillment: {
+                  line_items_by_fulfillment_order: locationOrders.map(fulfillmentOrder => ({ fulfillment_order_id: fulfillmentOrder.id })),
+                  tracking_info: { number: line.trackingNumber, ...(company ? { company } : {}) },
+                  notify_customer: notifyCustomer
+                }
+              })).data;
+              fulfillmentIds.push(fulfillment.id);
+            } catch (error) {
+              // POSTs aren't retried, and a timeout or 5xx can come after
+              // Shopify created the fulfillment; it did if nothing is left open
+              if (error.response?.status < 500 || !(await isFulfilled(store, order, locationOrders))) {
+                throw error;
+              }
+            }
+          }
+          Object.assign(result, { status: 'success', message: `Fulfilled ${itemCount} items`, fulfillmentIds });
+        }
+      }
+    } catch (error) {
+      Object.assign(result, { status: 'failed', message: describeError(error) });
+    }
+    results.push(result);
+    onProgress?.(results.length);
+  }
+  return results;
+}
+
+function summarizeResults(results) {
+  const summary = { total: results.length, success: 0, dry_run: 0, skipped: 0, failed: 0 };
+  for (const result of results) {
+    summary[result.status]++;
+  }
+  return summary;
+}
+
+function reportFile(id) {
+  // Ids are generated here; anything else can't name a report file
+  if (!/^[a-f0-9]{12}$/.test(id || '')) {
+    return null;
+  }
+  return path.join(REPORTS_DIR, `${id}.json`);
+}
+
+// Save the results of a run. type is "tag" or "fulfillment".
+function saveReport(details) {
+  const report = {
+    id: crypto.randomBytes(6).toString('hex'),
+    createdAt: new Date().toISOString(),
+    ...details,
+    summary: summarizeResults(details.results)
+  };
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  fs.writeFileSync(reportFile(report.id), JSON.stringify(report, null, 2));
+  return report;
+}
+
+function getReport(id) {
+  const file = reportFile(id);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Newest first, without the per-order results
+function listReports() {
+  if (!fs.existsSync(REPORTS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(REPORTS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const { results, ...report } = JSON.parse(fs.readFileSync(path.join(REPORTS_DIR, file), 'utf8'));
+      return report;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  EXPORT_TAG,
+  AWB_COLUMNS,
+  formatExportTag,
+  tagOrders,
+  parseAwbFile,
+  createFulfillments,
+  saveReport,
+  getReport,
+  listReports
+};
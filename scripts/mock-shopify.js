@@ -0,0 +1,585 @@
+// Local stand-in for the Shopify Admin REST and GraphQL APIs, for checking
+// the client's pacing and retry behaviour and the GraphQL order source
+// without touching a real store.
+//
+//   node scripts/mock-shopify.js
+//   SHOPIFY_API_BASE_URL=http://localhost:4000 npm start
+//
+// MOCK_ORDER_COUNT   number of generated orders (default 1000)
+// MOCK_FAILURE_RATE  share of requests answered with a 502 (default 0.05)
+// MOCK_BUCKET_SIZE   leaky bucket capacity (default 40, drains 2 calls/s)
+//
+// Every 7th order uses a discount code, every 11th has a refund (every 22nd
+// refunds the standard shipping too, as an order adjustment) and every
+// 50th has more line items than one GraphQL orders page holds. Every 5th
+// order includes VAT, every 13th is partly paid with a gift card, every 17th
+// has an express shipping line on top and every 97th has no line items.
+// For the validation checks, phones are typed in several formats; every 19th
+// order has a landline, every 23rd the same phone as the order before it,
+// every 29th no email and every 31st a street too short to deliver to.
+// Tags written to an order and fulfillments created for it are kept in
+// memory and show up in orders.json with a new updated_at.
+const express = require('express');
+
+const PORT = process.env.MOCK_SHOPIFY_PORT || 4000;
+const ORDER_COUNT = parseInt(process.env.MOCK_ORDER_COUNT || '1000', 10);
+const FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE || '0.05');
+const BUCKET_SIZE = parseInt(process.env.MOCK_BUCKET_SIZE || '40', 10);
+const LEAK_RATE = 2;
+
+const CITIES = ['القاهرة', 'Giza', 'Alexandria', 'مدينة نصر', 'Mansoura', 'Tanta'];
+const GATEWAYS = ['Cash on Delivery (COD)', 'Kashier', 'manual'];
+
+function generateLineItems(i) {
+  if (i % 97 === 96) {
+    return [];
+  }
+  const items = [
+    { id: 9000000 + i * 100, sku: 'NUT-ALM-250', name: 'Almonds 250g', quantity: 2, price: 100 },
+    { id: 9000000 + i * 100 + 1, sku: 'NUT-CSH-250', name: 'Cashews 250g', quantity: 1, price: 100 }
+  ];
+  if (i % 50 === 0) {
+    for (let k = 2; k < 37; k++) {
+      items.push({ id: 9000000 + i * 100 + k, sku: `NUT-MIX-${k}`, name: `Mixed Nuts ${k}`, quantity: 1, price: 10 });
+    }
+  }
+  // NUTS10 takes 10% off every item
+  const discountRate = i % 7 === 0 ? 0.1 : 0;
+  return items.map(item => ({ ...item, discount: item.price * item.quantity * discountRate }));
+}
+
+function generateOrder(i) {
+  const createdAt = new Date(Date.now() - (ORDER_COUNT - i) * 20 * 60 * 1000).toISOString();
+  const items = generateLineItems(i);
+  const discount = items.reduce((sum, item) => sum + item.discount, 0);
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0) - discount;
+  const shippingLines = [{ title: 'Standard Shipping', price: '50.00' }];
+  if (i % 17 === 0) {
+    shippingLines.push({ title: 'Express Delivery', price: '20.00' });
+  }
+  const shipping = shippingLines.reduce((sum, line) => sum + parseFloat(line.price), 0);
+  const total = subtotal + shipping;
+  // Prices include 14% VAT
+  const tax = i % 5 === 0 ? subtotal - subtotal / 1.14 : 0;
+  const paid = i % 3 === 0;
+  const gateway = GATEWAYS[i % GATEWAYS.length];
+  const giftCard = i % 13 === 0 ? Math.min(100, total) : 0;
+
+  // Gift cards pay first; COD sales stay pending until the courier collects
+  const transactions = [];
+  if (giftCard > 0) {
+    transactions.push({ id: 6000000 + i * 10, kind: 'sale', status: 'success', gateway: 'gift_card', amount: giftCard.toFixed(2) });
+  }
+  transactions.push({ id: 6000000 + i * 10 + 1, kind: 'sale', status: paid ? 'success' : 'pending', gateway, amount: (total - giftCard).toFixed(2) });
+
+  // One cashew bag sent back, refunded through the gateway when it was paid
+  const refunds = [];
+  let refunded = 0;
+  if (i % 11 === 0 && items.length > 1) {
+    const cashews = items[1];
+    const itemRefund = cashews.price - cashews.discount;
+    const orderAdjustments = i % 22 === 0 ? [{ id: 8000000 + i, kind: 'shipping_refund', amount: '-50.00', tax_amount: '0.00' }] : [];
+    refunded = itemRefund + (orderAdjustments.length > 0 ? 50 : 0);
+    const refundTransactions = paid ? [{ id: 6000000 + i * 10 + 2, kind: 'refund', status: 'success', gateway, amount: refunded.toFixed(2) }] : [];
+    transactions.push(...refundTransactions);
+    refunds.push({
+      id: 7000000 + i,
+      created_at: createdAt,
+      refund_line_items: [{ line_item_id: cashews.id, quantity: 1, subtotal: itemRefund.toFixed(2), total_tax: '0.00' }],
+      transactions: refundTransactions,
+      order_adjustments: orderAdjustments
+    });
+  }
+
+  const mobile = `100${String(i % 23 === 22 ? i - 1 : i).padStart(7, '0')}`;
+  const phones = [`0${mobile}`, `+20 ${mobile.slice(0, 3)} ${mobile.slice(3, 6)} ${mobile.slice(6)}`, `0020${mobile}`];
+  const address = {
+    first_name: `Customer${i}`,
+    last_name: 'Test',
+    address1: i % 31 === 0 ? `${i}` : `${i} El Tahrir Street`,
+    city: CITIES[i % CITIES.length],
+    province_code: 'C',
+    country_code: 'EG',
+    phone: i % 19 === 0 ? '0223456789' : phones[i % phones.length]
+  };
+  return {
+    id: 5000000 + i,
+    name: `#${1000 + i}`,
+    order_number: 1000 + i,
+    email: i % 29 === 0 ? null : `customer${i}@example.com`,
+    created_at: createdAt,
+    updated_at: createdAt,
+    processed_at: createdAt,
+    financial_status: paid ? (refunds.length > 0 ? 'partially_refunded' : 'paid') : (giftCard > 0 ? 'partially_paid' : 'pending'),
+    fulfillment_status: i % 4 === 0 ? 'fulfilled' : null,
+    currency: 'EGP',
+    payment_gateway_names: giftCard > 0 ? ['gift_card', gateway] : [gateway],
+    subtotal_price: subtotal.toFixed(2),
+    total_price: total.toFixed(2),
+    total_tax: tax.toFixed(2),
+    taxes_included: true,
+    tax_lines: tax > 0 ? [{ title: 'VAT', rate: 0.14, price: tax.toFixed(2) }] : [],
+    total_discounts: discount.toFixed(2),
+    total_outstanding: paid ? '0.00' : (total - giftCard - refunded).toFixed(2),
+    discount_codes: discount > 0 ? [{ code: 'NUTS10', amount: discount.toFixed(2), type: 'percentage' }] : [],
+    total_shipping_price_set: { shop_money: { amount: shipping.toFixed(2), currency_code: 'EGP' } },
+    shipping_lines: shippingLines,
+    tags: '',
+    billing_address: address,
+    shipping_address: address,
+    line_items: items.map(item => ({
+      id: item.id,
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price.toFixed(2),
+      total_discount: item.discount.toFixed(2)
+    })),
+    refunds,
+    transactions
+  };
+}
+
+// orders.json leaves transactions out; they come from transactions.json
+const generated = Array.from({ length: ORDER_COUNT }, (_, i) => generateOrder(i)).reverse();
+const orders = generated.map(({ transactions, ...order }) => order);
+const orderTransactions = new Map(generated.map(order => [String(order.id), order.transactions]));
+const stats = { requests: 0, throttled: 0, failed: 0 };
+const bucket = { used: 0, updatedAt: Date.now() };
+
+function drainBucket() {
+  const leaked = ((Date.now() - bucket.updatedAt) / 1000) * LEAK_RATE;
+  bucket.used = Math.max(bucket.used - leaked, 0);
+  bucket.updatedAt = Date.now();
+}
+
+const app = express();
+
+app.use('/admin/api/:version', (req, res, next) => {
+  stats.requests++;
+  drainBucket();
+  if (bucket.used + 1 > BUCKET_SIZE) {
+    stats.throttled++;
+    res.set('Retry-After', '1.0');
+    return res.status(429).json({ errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' });
+  }
+  bucket.used++;
+  res.set('X-Shopify-Shop-Api-Call-Limit', `${Math.ceil(bucket.used)}/${BUCKET_SIZE}`);
+  if (Math.random() < FAILURE_RATE) {
+    stats.failed++;
+    return res.status(502).json({ errors: 'Bad Gateway' });
+  }
+  next();
+});
+
+// page_info is just the offset of the next page, base64 encoded together
+// with the original filters, like Shopify's opaque cursors
+app.get('/admin/api/:version/orders.json', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10), 250);
+  let filters = req.query;
+  let offset = 0;
+  if (req.query.page_info) {
+    ({ filters, offset } = JSON.parse(Buffer.from(req.query.page_info, 'base64url').toString()));
+  }
+
+  let matching = orders.filter(order =>
+    (!filters.created_at_min || order.created_at >= new Date(filters.created_at_min).toISOString()) &&
+    (!filters.created_at_max || order.created_at <= new Date(filters.created_at_max).toISOString()) &&
+    (!filters.updated_at_min || order.updated_at >= new Date(filters.updated_at_min).toISOString())
+  );
+  if ((filters.order || '').startsWith('updated_at asc')) {
+    matching = [...matching].reverse();
+  }
+
+  const page = matching.slice(offset, offset + limit);
+  if (offset + limit < matching.length) {
+    const next = Buffer.from(JSON.stringify({ filters, offset: offset + limit })).toString('base64url');
+    res.set('Link', `<http://localhost:${PORT}${req.baseUrl}${req.path}?limit=${limit}&page_info=${next}>; rel="next"`);
+  }
+  res.json({ orders: page });
+});
+
+app.get('/admin/api/:version/shop.json', (req, res) => {
+  res.json({ shop: { name: 'Mock Shop', iana_timezone: process.env.MOCK_TIMEZONE || 'Africa/Cairo' } });
+});
+
+app.get('/admin/api/:version/orders/:id/refunds.json', (req, res) => {
+  res.json({ refunds: [] });
+});
+
+app.get('/admin/api/:version/orders/:id/transactions.json', (req, res) => {
+  if (!orderTransactions.has(req.params.id)) {
+    return res.status(404).json({ errors: 'Not Found' });
+  }
+  res.json({ transactions: orderTransactions.get(req.params.id) });
+});
+
+function findOrder(id) {
+  return orders.find(order => String(order.id) === id);
+}
+
+app.get('/admin/api/:version/orders/:id.json', (req, res) => {
+  const order = findOrder(req.params.id);
+  if (!order) {
+    return res.status(404).json({ errors: 'Not Found' });
+  }
+  const fields = req.query.fields ? req.query.fields.split(',') : null;
+  res.json({ order: fields ? Object.fromEntries(fields.map(field => [field, order[field]])) : order });
+});
+
+// Only tags can be changed
+app.put('/admin/api/:version/orders/:id.json', express.json(), (req, res) => {
+  const order = findOrder(req.params.id);
+  if (!order) {
+    return res.status(404).json({ errors: 'Not Found' });
+  }
+  if (typeof req.body?.order?.tags === 'string') {
+    order.tags = req.body.order.tags;
+    order.updated_at = new Date().toISOString();
+  }
+  res.json({ order });
+});
+
+// Every order has one fulfillment order at one location, closed once the
+// order is fulfilled
+function getFulfillmentOrder(order) {
+  const status = order.cancelled_at ? 'cancelled' : order.fulfillment_status === 'fulfilled' ? 'closed' : 'open';
+  return {
+    id: order.id + 2000000,
+    order_id: order.id,
+    assigned_location_id: 1,
+    status,
+    line_items: order.line_items.map(item => ({
+      id: item.id + 1000000,
+      line_item_id: item.id,
+      quantity: item.quantity,
+      fulfillable_quantity: status === 'open' ? item.quantity : 0
+    }))
+  };
+}
+
+app.get('/admin/api/:version/orders/:id/fulfillment_orders.json', (req, res) => {
+  const order = findOrder(req.params.id);
+  if (!order) {
+    return res.status(404).json({ errors: 'Not Found' });
+  }
+  res.json({ fulfillment_orders: [getFulfillmentOrder(order)] });
+});
+
+let fulfillmentCount = 0;
+
+app.post('/admin/api/:version/fulfillments.json', express.json(), (req, res) => {
+  const { fulfillment } = req.body || {};
+  const ids = (fulfillment?.line_items_by_fulfillment_order || []).map(entry => entry.fulfillment_order_id);
+  const order = orders.find(candidate => ids.includes(getFulfillmentOrder(candidate).id));
+  if (!order) {
+    return res.status(404).json({ errors: 'Not Found' });
+  }
+  if (getFulfillmentOrder(order).status !== 'open') {
+    return res.status(422).json({ errors: ['Fulfillment order is not open'] });
+  }
+  const created = {
+    id: 8000000 + ++fulfillmentCount,
+    order_id: order.id,
+    status: 'success',
+    tracking_number: fulfillment.tracking_info?.number || null,
+    tracking_company: fulfillment.tracking_info?.company || null,
+    notify_customer: fulfillment.notify_customer === true,
+    created_at: new Date().toISOString()
+  };
+  order.fulfillments = [...(order.fulfillments || []), created];
+  order.fulfillment_status = 'fulfilled';
+  order.updated_at = created.created_at;
+  res.status(201).json({ fulfillment: created });
+});
+
+// Webhook subscriptions, kept in memory for scripts/webhooks.js
+const webhooks = [];
+
+app.get('/admin/api/:version/webhooks.json', (req, res) => {
+  res.json({ webhooks });
+});
+
+app.post('/admin/api/:version/webhooks.json', express.json(), (req, res) => {
+  const webhook = { id: webhooks.length + 1, ...req.body.webhook, created_at: new Date().toISOString() };
+  webhooks.push(webhook);
+  res.status(201).json({ webhook });
+});
+
+// GraphQL Admin API. Queries are told apart by their operation name; the
+// selection set is not read, every field the app asks for is returned.
+const GRAPHQL_BUCKET_SIZE = 1000;
+const GRAPHQL_RESTORE_RATE = 50;
+const costBucket = { available: GRAPHQL_BUCKET_SIZE, updatedAt: Date.now() };
+const QUERY_COSTS = { Orders: 250, Order: 30, OrderLineItems: 30, OrderRefunds: 20, RunBulkQuery: 10, BulkOperation: 1 };
+const bulkOperations = [];
+
+function gid(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
+
+function money(amount) {
+  return { shopMoney: { amount: String(parseFloat(amount || 0)), currencyCode: 'EGP' } };
+}
+
+function toGraphqlAddress(address) {
+  return address && {
+    firstName: address.first_name,
+    lastName: address.last_name,
+    company: null,
+    address1: address.address1,
+    address2: null,
+    city: address.city,
+    province: null,
+    provinceCode: address.province_code,
+    zip: null,
+    country: 'Egypt',
+    countryCodeV2: address.country_code,
+    phone: address.phone
+  };
+}
+
+function discountAllocations(amount, code) {
+  return parseFloat(amount) > 0
+    ? [{ allocatedAmountSet: money(amount), discountApplication: { code } }]
+    : [];
+}
+
+// An order as GraphQL returns it, with its connections as plain lists
+function toGraphqlOrder(order) {
+  const code = order.discount_codes[0]?.code;
+  return {
+    id: gid('Order', order.id),
+    legacyResourceId: String(order.id),
+    name: order.name,
+    email: order.email,
+    phone: null,
+    note: null,
+    tags: order.tags ? order.tags.split(', ') : [],
+    createdAt: order.created_at,
+    updatedAt: order.updated_at,
+    processedAt: order.processed_at,
+    closedAt: null,
+    cancelledAt: null,
+    displayFinancialStatus: order.financial_status.toUpperCase(),
+    displayFulfillmentStatus: order.fulfillment_status ? order.fulfillment_status.toUpperCase() : 'UNFULFILLED',
+    currencyCode: order.currency,
+    paymentGatewayNames: order.payment_gateway_names,
+    discountCodes: order.discount_codes.map(discount => discount.code),
+    subtotalPriceSet: money(order.subtotal_price),
+    totalPriceSet: money(order.total_price),
+    totalTaxSet: money(order.total_tax),
+    totalDiscountsSet: money(order.total_discounts),
+    totalShippingPriceSet: money(order.total_shipping_price_set.shop_money.amount),
+    totalOutstandingSet: money(order.total_outstanding),
+    customer: null,
+    billingAddress: toGraphqlAddress(order.billing_address),
+    shippingAddress: toGraphqlAddress(order.shipping_address),
+    taxLines: order.tax_lines.map(line => ({ title: line.title, rate: line.rate, priceSet: money(line.price) })),
+    transactions: orderTransactions.get(String(order.id)).map(transaction => ({
+      id: gid('OrderTransaction', transaction.id),
+      gateway: transaction.gateway,
+      kind: transaction.kind.toUpperCase(),
+      status: transaction.status.toUpperCase(),
+      amountSet: money(transaction.amount)
+    })),
+    shippingLines: order.shipping_lines.map((line, index) => ({
+      __typename: 'ShippingLine',
+      id: gid('ShippingLine', order.id * 10 + index),
+      title: line.title,
+      originalPriceSet: money(line.price),
+      discountAllocations: []
+    })),
+    lineItems: order.line_items.map(item => ({
+      __typename: 'LineItem',
+      id: gid('LineItem', item.id),
+      sku: item.sku,
+      name: item.name,
+      title: item.name,
+      variantTitle: null,
+      vendor: null,
+      quantity: item.quantity,
+      originalUnitPriceSet: money(item.price),
+      discountAllocations: discountAllocations(item.total_discount, code)
+    })),
+    refunds: order.refunds.map(refund => ({
+      id: gid('Refund', refund.id),
+      createdAt: refund.created_at,
+      refundLineItems: refund.refund_line_items.map(item => ({
+        __typename: 'RefundLineItem',
+        quantity: item.quantity,
+        lineItem: { id: gid('LineItem', item.line_item_id) },
+        subtotalSet: money(item.subtotal),
+        totalTaxSet: money(item.total_tax)
+      })),
+      transactions: refund.transactions.map(transaction => ({
+        __typename: 'OrderTransaction',
+        kind: transaction.kind.toUpperCase(),
+        status: transaction.status.toUpperCase(),
+        amountSet: money(transaction.amount)
+      })),
+      // Amounts as positive numbers, unlike orders.json
+      orderAdjustments: refund.order_adjustments.map(adjustment => ({
+        __typename: 'OrderAdjustment',
+        reason: adjustment.kind.toUpperCase(),
+        amountSet: money(Math.abs(parseFloat(adjustment.amount))),
+        taxAmountSet: money(Math.abs(parseFloat(adjustment.tax_amount)))
+      }))
+    }))
+  };
+}
+
+// Cursors are offsets, like page_info above
+function toConnection(list, first, after) {
+  const offset = after ? parseInt(Buffer.from(after, 'base64url').toString(), 10) : 0;
+  const end = Math.min(offset + first, list.length);
+  return {
+    edges: list.slice(offset, end).map(node => ({ node })),
+    pageInfo: { hasNextPage: end < list.length, endCursor: Buffer.from(String(end)).toString('base64url') }
+  };
+}
+
+function pageRefunds(refunds) {
+  return refunds.map(refund => ({
+    ...refund,
+    refundLineItems: toConnection(refund.refundLineItems, 250),
+    transactions: toConnection(refund.transactions, 250),
+    orderAdjustments: toConnection(refund.orderAdjustments, 250)
+  }));
+}
+
+// The order connections an orders page returns, sized like the query asks
+function pageOrder(order, query) {
+  const lineItemsFirst = parseInt((query.match(/lineItems\(first: (\d+)/) || [])[1] || '250', 10);
+  return {
+    ...order,
+    lineItems: toConnection(order.lineItems, lineItemsFirst),
+    shippingLines: toConnection(order.shippingLines, 250),
+    refunds: pageRefunds(order.refunds)
+  };
+}
+
+// Orders matching a search query such as created_at:>='2024-01-01T00:00:00.000Z'
+function searchOrders(search, sortKey = 'CREATED_AT', reverse = false) {
+  const terms = [...(search || '').matchAll(/(\w+):(>=|<=)?'?([^'\s]+)'?/g)];
+  const matching = orders.filter(order => terms.every(([, field, operator, value]) => {
+    if (field === 'status') return value === 'open' || value === 'any';
+    const timestamp = order[field];
+    if (!timestamp) return true;
+    return operator === '<=' ? timestamp <= new Date(value).toISOString() : timestamp >= new Date(value).toISOString();
+  }));
+  const key = sortKey === 'UPDATED_AT' ? 'updated_at' : 'created_at';
+  return matching
+    .sort((a, b) => (reverse ? -1 : 1) * a[key].localeCompare(b[key]))
+    .map(toGraphqlOrder);
+}
+
+// A bulk result: each order on one line with only its refund ids, then its
+// connection nodes on lines of their own, pointing back through __parentId
+function toBulkLines(order) {
+  const { lineItems, shippingLines, refunds, ...fields } = order;
+  const lines = [{ ...fields, refunds: refunds.map(refund => ({ id: refund.id })) }];
+  for (const node of [...shippingLines, ...lineItems]) {
+    lines.push({ ...node, __parentId: order.id });
+  }
+  return lines.map(line => JSON.stringify(line)).join('\n');
+}
+
+function runGraphql(name, query, variables) {
+  if (name === 'Orders') {
+    const matching = searchOrders(variables.query, variables.sortKey, variables.reverse);
+    const page = toConnection(matching, variables.first, variables.after);
+    page.edges = page.edges.map(({ node }) => ({ node: pageOrder(node, query) }));
+    return { orders: page };
+  }
+  if (name === 'Order') {
+    const order = orders.find(candidate => gid('Order', candidate.id) === variables.id);
+    return { order: order ? pageOrder(toGraphqlOrder(order), query) : null };
+  }
+  if (name === 'OrderRefunds') {
+    const order = orders.find(candidate => gid('Order', candidate.id) === variables.id);
+    return { order: order && { refunds: pageRefunds(toGraphqlOrder(order).refunds) } };
+  }
+  if (name === 'OrderLineItems') {
+    const order = orders.find(candidate => gid('Order', candidate.id) === variables.id);
+    return { order: order && { lineItems: toConnection(toGraphqlOrder(order).lineItems, 100, variables.after) } };
+  }
+  if (name === 'RunBulkQuery') {
+    if (bulkOperations.some(operation => operation.status === 'RUNNING')) {
+      return { bulkOperationRunQuery: { bulkOperation: null, userErrors: [{ field: null, message: 'A bulk query operation for this app and shop is already in progress' }] } };
+    }
+    // Like Shopify, refuse connections inside the refunds list
+    if (/refunds\s*\{[^{}]*\w+\s*\{\s*edges/.test(variables.query)) {
+      return { bulkOperationRunQuery: { bulkOperation: null, userErrors: [{ field: ['query'], message: 'Queries that contain a connection field within a list field are not currently supported.' }] } };
+    }
+    const search = JSON.parse((variables.query.match(/orders\(query: ("(?:[^"\\]|\\.)*")/) || [])[1] || '""');
+    const sortKey = (variables.query.match(/sortKey: (\w+)/) || [])[1];
+    const reverse = /reverse: true/.test(variables.query);
+    const operation = { id: gid('BulkOperation', bulkOperations.length + 1), status: 'RUNNING', polls: 0, orders: searchOrders(search, sortKey, reverse) };
+    bulkOperations.push(operation);
+    return { bulkOperationRunQuery: { bulkOperation: { id: operation.id, status: 'CREATED' }, userErrors: [] } };
+  }
+  if (name === 'BulkOperation') {
+    const operation = bulkOperations.find(candidate => candidate.id === variables.id);
+    if (!operation) return { node: null };
+    // Finishes on the second poll
+    operation.polls++;
+    if (operation.polls >= 2 && operation.status === 'RUNNING') {
+      operation.status = 'COMPLETED';
+      operation.result = operation.orders.map(toBulkLines).join('\n');
+    }
+    const index = bulkOperations.indexOf(operation) + 1;
+    return {
+      node: {
+        id: operation.id,
+        status: operation.status,
+        errorCode: null,
+        objectCount: String(operation.status === 'COMPLETED' ? operation.result.split('\n').length : 0),
+        url: operation.status === 'COMPLETED' && operation.orders.length > 0 ? `http://localhost:${PORT}/mock/bulk/${index}.jsonl` : null
+      }
+    };
+  }
+  return null;
+}
+
+app.post('/admin/api/:version/graphql.json', express.json(), (req, res) => {
+  const { query = '', variables = {} } = req.body || {};
+  const name = (query.match(/^\s*(?:query|mutation)\s+(\w+)/) || [])[1];
+
+  const restored = ((Date.now() - costBucket.updatedAt) / 1000) * GRAPHQL_RESTORE_RATE;
+  costBucket.available = Math.min(costBucket.available + restored, GRAPHQL_BUCKET_SIZE);
+  costBucket.updatedAt = Date.now();
+  const requestedQueryCost = QUERY_COSTS[name] || 10;
+  const cost = throttled => ({
+    requestedQueryCost,
+    actualQueryCost: throttled ? null : requestedQueryCost,
+    throttleStatus: { maximumAvailable: GRAPHQL_BUCKET_SIZE, currentlyAvailable: Math.floor(costBucket.available), restoreRate: GRAPHQL_RESTORE_RATE }
+  });
+  if (costBucket.available < requestedQueryCost) {
+    stats.throttled++;
+    return res.json({ errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: { cost: cost(true) } });
+  }
+  costBucket.available -= requestedQueryCost;
+
+  const data = runGraphql(name, query, variables);
+  if (!data) {
+    return res.json({ errors: [{ message: `Unknown operation "${name}"` }] });
+  }
+  res.json({ data, extensions: { cost: cost(false) } });
+});
+
+app.get('/mock/bulk/:index.jsonl', (req, res) => {
+  const operation = bulkOperations[parseInt(req.params.index, 10) - 1];
+  if (!operation?.result) {
+    return res.status(404).end();
+  }
+  res.type('application/jsonl').send(operation.result + '\n');
+});
+
+app.get('/mock/stats', (req, res) => {
+  res.json(stats);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Shopify running on http://localhost:${PORT} with ${ORDER_COUNT} orders`);
+});
@@ -0,0 +1,86 @@
+// Local stand-in for an SMTP server, for checking scheduled export emails
+// without sending real mail. Every message is saved as an .eml file.
+//
+//   node scripts/mock-smtp.js
+//   SMTP_HOST=localhost SMTP_PORT=2525 npm start
+//
+// MOCK_SMTP_PORT  port to listen on (default 2525)
+// MOCK_SMTP_DIR   where messages are saved (default <tmp>/mock-smtp)
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+
+const PORT = process.env.MOCK_SMTP_PORT || 2525;
+const MAIL_DIR = process.env.MOCK_SMTP_DIR || path.join(os.tmpdir(), 'mock-smtp');
+
+let messageCount = 0;
+
+function saveMessage(envelope, data) {
+  fs.mkdirSync(MAIL_DIR, { recursive: true });
+  const file = path.join(MAIL_DIR, `${Date.now()}-${++messageCount}.eml`);
+  fs.writeFileSync(file, data);
+  const subject = (data.match(/^Subject: (.*)$/m) || [])[1] || '';
+  console.log(`Mail from ${envelope.from} to ${envelope.to.join(', ')}: "${subject}" (${data.length} bytes) -> ${file}`);
+}
+
+const server = net.createServer(socket => {
+  let buffer = '';
+  let envelope = { from: '', to: [] };
+  let readingData = false;
+  const reply = line => socket.write(`${line}\r\n`);
+
+  reply('220 localhost Mock SMTP ready');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+
+    while (buffer.length > 0) {
+      if (readingData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        // Undo dot-stuffing of lines that start with "."
+        saveMessage(envelope, buffer.slice(0, end).replace(/\r\n\.\./g, '\r\n.'));
+        buffer = buffer.slice(end + 5);
+        readingData = false;
+        envelope = { from: '', to: [] };
+        reply('250 OK message saved');
+        continue;
+      }
+
+      const lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd === -1) return;
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250-localhost');
+        reply('250 AUTH PLAIN');
+      } else if (command === 'AUTH') {
+        reply('235 Authentication successful');
+      } else if (command === 'MAIL') {
+        envelope.from = (line.match(/<(.*)>/) || [])[1] || '';
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push((line.match(/<(.*)>/) || [])[1] || '');
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        readingData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+        return;
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock SMTP running on localhost:${PORT}, saving messages to ${MAIL_DIR}`);
+});
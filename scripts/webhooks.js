@@ -0,0 +1,70 @@
+// Register or check the app's Shopify webhook subscriptions.
+//
+//   node scripts/webhooks.js verify   [base url] [store id]
+//   node scripts/webhooks.js register [base url] [store id]
+//
+// The base URL is where this server is reachable from Shopify, e.g.
+// https://orders.example.com; it defaults to WEBHOOK_BASE_URL. Every
+// configured store is checked unless a store id is given. verify exits
+// with status 1 when a subscription is missing or points elsewhere.
+require('dotenv').config();
+const stores = require('../lib/stores');
+const { TOPICS, getWebhookAddress } = require('../lib/webhooks');
+
+// Check (and with register, add) one store's subscriptions; returns how many are missing
+async function checkStore(store, command, baseUrl) {
+  const response = await store.shopify.get('webhooks.json?limit=250');
+  const existing = response.data.webhooks || [];
+
+  let problems = 0;
+  for (const topic of TOPICS) {
+    const address = getWebhookAddress(baseUrl, topic);
+    const subscriptions = existing.filter(webhook => webhook.topic === topic);
+    const match = subscriptions.find(webhook => webhook.address === address);
+
+    if (match) {
+      console.log(`✅ ${topic} -> ${address}`);
+      continue;
+    }
+    for (const other of subscriptions) {
+      console.log(`⚠️  ${topic} is also delivered to ${other.address}`);
+    }
+    if (command === 'register') {
+      await store.shopify.post('webhooks.json', { webhook: { topic, address, format: 'json' } });
+      console.log(`➕ ${topic} -> ${address} registered`);
+    } else {
+      console.log(`❌ ${topic} is not delivered to ${address}`);
+      problems++;
+    }
+  }
+  return problems;
+}
+
+async function main() {
+  const [command, baseUrl = process.env.WEBHOOK_BASE_URL, storeId] = process.argv.slice(2);
+  if (!['verify', 'register'].includes(command) || !baseUrl) {
+    console.error('Usage: node scripts/webhooks.js verify|register <base url> [store id]  (or set WEBHOOK_BASE_URL)');
+    process.exit(2);
+  }
+  const selected = storeId ? [stores.getStore(storeId)].filter(Boolean) : stores.listStores();
+  if (selected.length === 0) {
+    console.error(storeId ? `❌ Unknown store "${storeId}"` : '❌ No Shopify store is configured');
+    process.exit(2);
+  }
+
+  let problems = 0;
+  for (const store of selected) {
+    console.log(`${store.name} (${store.shopName})`);
+    problems += await checkStore(store, command, baseUrl);
+  }
+
+  if (problems > 0) {
+    console.log(`${problems} subscription${problems > 1 ? 's' : ''} missing; run "node scripts/webhooks.js register ${baseUrl}"`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Webhook setup failed:', error.response?.data || error.message);
+  process.exit(1);
+});
@@ -1,25 +1,87 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const { createObjectCsvWriter } = require('csv-writer');
+const { createArrayCsvStringifier } = require('csv-writer');
 const moment = require('moment');
 const path = require('path');
+const fs = require('fs');
 const ExcelJS = require('exceljs');
 require('dotenv').config();
+const mappings = require('./lib/mappings');
+const stores = require('./lib/stores');
+const graphqlOrders = require('./lib/graphqlOrders');
+const { summarizeRefunds, getNetQuantity } = require('./lib/refunds');
+const { summarizePayments } = require('./lib/payments');
+const exportProfiles = require('./lib/exportProfiles');
+const exportJobs = require('./lib/exportJobs');
+const orderQuery = require('./lib/orderQuery');
+const timezone = require('./lib/timezone');
+const analytics = require('./lib/analytics');
+const settlements = require('./lib/settlements');
+const exportSchedules = require('./lib/exportSchedules');
+const delivery = require('./lib/delivery');
+const webhooks = require('./lib/webhooks');
+const liveUpdates = require('./lib/liveUpdates');
+const auth = require('./lib/auth');
+const accessLog = require('./lib/accessLog');
+const printDocuments = require('./lib/printDocuments');
+const validation = require('./lib/validation');
+const exportHistory = require('./lib/exportHistory');
+const writeBack = require('./lib/writeBack');
+const exportSummary = require('./lib/exportSummary');
+const { isRtl } = require('./lib/pdfText');
 
 const app = express();
-app.use(cors());
+// Behind a proxy (e.g. TRUST_PROXY=1 on Railway) so req.ip and req.secure
+// reflect the client rather than the proxy
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+// Browsers may only call the API from the dashboard itself or the origins
+// listed in CORS_ORIGINS
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
+// Webhook bodies stay raw: their HMAC is computed over the exact bytes sent
+app.use('/webhooks', express.raw({ type: () => true, limit: '5mb' }));
 app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
 
-// Shopify API configuration
-const SHOPIFY_SHOP_NAME = process.env.SHOPIFY_SHOP_NAME;
-const SHOPIFY_ADMIN_ACCESS_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+// Sign-in: a session cookie from the login page, or an API key for scripts
+app.use(auth.authenticate);
+
+// Log API calls and exports with the user who made them
+app.use((req, res, next) => {
+  if (req.path.startsWith('/api/') || req.path.startsWith('/export-')) {
+    res.on('finish', () => accessLog.record('request', req, {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode
+    }));
+  }
+  next();
+});
+
+// Everything else needs a signed-in user. Shopify webhooks are checked
+// against their HMAC instead.
+const PUBLIC_PATHS = ['/login', '/login.html', '/api/auth/login', '/health'];
+app.use((req, res, next) => {
+  if (req.user || PUBLIC_PATHS.includes(req.path) || req.path.startsWith('/webhooks/')) {
+    return next();
+  }
+  // Pages send the browser to the login form; API calls get a 401
+  const isApi = req.path.startsWith('/api/') || req.path.startsWith('/export-') || req.path === '/order-statuses';
+  if (req.method === 'GET' && !isApi) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ success: false, error: 'Sign in required' });
+});
+
+app.use(express.static(path.join(__dirname, 'public')));
 
-// Verify required environment variables
-if (!SHOPIFY_SHOP_NAME || !SHOPIFY_ADMIN_ACCESS_TOKEN) {
-  console.error('❌ Missing required environment variables');
-  process.exit(1);
+// Shopify stores: the one from SHOPIFY_SHOP_NAME / SHOPIFY_ADMIN_ACCESS_TOKEN
+// plus any added at /stores. Each has its own client, which paces requests
+// against the API call limit and retries rate limits, server errors and timeouts.
+if (stores.listStores().length === 0) {
+  console.warn('⚠️  No Shopify store configured. Set SHOPIFY_SHOP_NAME and SHOPIFY_ADMIN_ACCESS_TOKEN or add one at /stores.');
 }
 
 // Serve dashboard as main page
@@ -27,26 +89,175 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
 });
 
+// City and carrier mapping management page
+app.get('/mappings', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'mappings.html'));
+});
+
+// COD settlement reconciliation page
+app.get('/settlements', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'settlements.html'));
+});
+
+// Scheduled exports page
+app.get('/schedules', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'schedules.html'));
+});
+
+// Store registry page
+app.get('/stores', auth.requireRole('admin'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'stores.html'));
+});
+
 // Keep simple export tool accessible
 app.get('/simple', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Export history and re-downloads
+app.get('/history', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'history.html'));
+});
+
+// Courier AWB uploads and Shopify write-back reports
+app.get('/write-back', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'write-back.html'));
+});
+
+// Users, API keys and the access log
+app.get('/users', auth.requireRole('admin'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'users.html'));
+});
+
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Helper function to make Shopify API requests using axios
-async function fetchShopifyData(endpoint) {
+// Sign in with a username and password; the session lives in an HttpOnly cookie
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
   try {
-    const url = `https://${SHOPIFY_SHOP_NAME}/admin/api/2024-01/${endpoint}`;
-    const response = await axios.get(url, {
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_ADMIN_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+    const { user, token } = await auth.login(username, password, req.ip);
+    auth.setSessionCookie(req, res, token);
+    req.user = user;
+    req.authMethod = 'session';
+    accessLog.record('login', req);
+    res.json({ success: true, user: auth.describeUser(user) });
+  } catch (error) {
+    accessLog.record('login_failed', req, { username: (username || '').toString().slice(0, 64) });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  accessLog.record('logout', req);
+  auth.logout(auth.getSessionToken(req));
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// The signed-in user, so pages can hide what their role cannot do
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, user: auth.describeUser(req.user), authMethod: req.authMethod, roles: auth.ROLES });
+});
+
+// Change your own password
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!(await auth.verifyPassword((currentPassword || '').toString(), req.user.passwordHash))) {
+      return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+    }
+    await auth.updateUser(req.user.id, { password: newPassword });
+    // Changing the password signs out every session, so start a new one here
+    const { token } = await auth.login(req.user.username, newPassword, req.ip);
+    auth.setSessionCookie(req, res, token);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// User and API key management (admin only)
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+  res.json({ success: true, roles: auth.ROLES, users: auth.listUsers() });
+});
+
+app.post('/api/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const user = await auth.createUser(req.body || {});
+    res.status(201).json({ success: true, user: auth.describeUser(user) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a user's role and/or reset their password
+app.put('/api/users/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    const user = await auth.updateUser(req.params.id, { role, password: password || undefined });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user: auth.describeUser(user) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', auth.requireRole('admin'), (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ success: false, error: 'You cannot delete yourself' });
+  }
+  try {
+    if (!auth.deleteUser(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Create an API key for a user; the key is only shown in this response
+app.post('/api/users/:id/api-keys', auth.requireRole('admin'), (req, res) => {
+  try {
+    const created = auth.createApiKey(req.params.id, req.body?.name);
+    if (!created) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/users/:id/api-keys/:keyId', auth.requireRole('admin'), (req, res) => {
+  if (!auth.deleteApiKey(req.params.id, req.params.keyId)) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
+  }
+  res.json({ success: true });
+});
+
+// Access and export log, newest first; filter with user and type
+app.get('/api/access-log', auth.requireRole('admin'), (req, res) => {
+  const { user, type, limit } = req.query;
+  res.json({
+    success: true,
+    entries: accessLog.list({ user, type, limit: Math.min(parseInt(limit, 10) || 200, 1000) })
+  });
+});
+
+// Helper function to make Shopify API requests through a store's client
+async function fetchShopifyData(store, endpoint) {
+  try {
+    const response = await store.shopify.get(endpoint);
     return response.data;
   } catch (error) {
     console.error('Shopify API error:', error.response?.data || error.message);
@@ -54,16 +265,59 @@ async function fetchShopifyData(endpoint) {
   }
 }
 
+// GraphQL stores read ranges longer than this many days (or without a start)
+// with a bulk operation instead of page by page
+const SHOPIFY_BULK_MIN_DAYS = parseFloat(process.env.SHOPIFY_BULK_MIN_DAYS || '31');
+
+// orders.json query string for fetchAllOrders filters
+function buildOrdersQueryParams({ createdAtMin, createdAtMax, updatedAtMin, status, order = 'created_at desc' }) {
+  let queryParams = `limit=250&status=${status || 'any'}&order=${order}`;
+  if (createdAtMin) queryParams += `&created_at_min=${createdAtMin}`;
+  if (createdAtMax) queryParams += `&created_at_max=${createdAtMax}`;
+  if (updatedAtMin) queryParams += `&updated_at_min=${updatedAtMin}`;
+  return queryParams;
+}
+
+// Read orders through the GraphQL Admin API, with a bulk operation for large ranges
+async function fetchGraphqlOrders(store, filters, { onPage, maxPages }) {
+  const from = filters.updatedAtMin || filters.createdAtMin;
+  const to = filters.createdAtMax || new Date();
+  const useBulk = !from || moment(to).diff(moment(from), 'days', true) > SHOPIFY_BULK_MIN_DAYS;
+  console.log(`[${store.id}] Fetching orders through GraphQL${useBulk ? ' (bulk operation)' : ''}: ${graphqlOrders.buildSearchQuery(filters) || 'all orders'}`);
+  
+  const fetchedCount = useBulk
+    ? await graphqlOrders.bulkFetchOrders(store.shopify, filters, { onPage, label: store.id })
+    : await graphqlOrders.fetchOrders(store.shopify, filters, { onPage, maxOrders: maxPages * 250, label: store.id });
+  console.log(`✅ Total orders fetched: ${fetchedCount}`);
+}
+
 // Helper function to fetch ALL orders with pagination
+// Filters: createdAtMin, createdAtMax, updatedAtMin, status and order
+// ("created_at desc" or "updated_at asc"). Orders come from orders.json or,
+// for stores whose orderSource is "graphql", the GraphQL Admin API.
 // Note: Shopify API maximum is 250 orders per request
-async function fetchAllOrders(queryParams) {
+// Pass onPage to handle each page as it arrives instead of collecting them all
+async function fetchAllOrders(store, filters, { onPage, maxPages = 100 } = {}) {
   let allOrders = [];
+  let fetchedCount = 0;
   let pageInfo = null;
   let hasNextPage = true;
   let pageCount = 0;
-  const MAX_PAGES = 100; // Safety limit to prevent infinite loops
+  const MAX_PAGES = maxPages; // Safety limit to prevent infinite loops
+  const queryParams = buildOrdersQueryParams(filters);
   
   try {
+    if (store.orderSource === 'graphql') {
+      await fetchGraphqlOrders(store, filters, {
+        maxPages,
+        onPage: onPage || (orders => {
+          allOrders = allOrders.concat(orders);
+        })
+      });
+      store.shopify.logMetrics(`fetchAllOrders ${store.id}`);
+      return allOrders;
+    }
+    
     while (hasNextPage && pageCount < MAX_PAGES) {
       pageCount++;
       let endpoint;
@@ -77,19 +331,19 @@ async function fetchAllOrders(queryParams) {
         endpoint = `orders.json?${queryParams}`;
       }
       
-      const url = `https://${SHOPIFY_SHOP_NAME}/admin/api/2024-01/${endpoint}`;
-      const response = await axios.get(url, {
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ADMIN_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000 // 60 second timeout for large requests
-      });
+      // Transient failures are retried by the client with the same cursor,
+      // so a hiccup mid-way resumes from this page instead of starting over
+      const response = await store.shopify.get(endpoint);
       
       const orders = response.data.orders || [];
-      allOrders = allOrders.concat(orders);
+      fetchedCount += orders.length;
+      if (onPage) {
+        await onPage(orders);
+      } else {
+        allOrders = allOrders.concat(orders);
+      }
       
-      console.log(`Page ${pageCount}: Fetched ${orders.length} orders, total so far: ${allOrders.length}`);
+      console.log(`[${store.id}] Page ${pageCount}: Fetched ${orders.length} orders, total so far: ${fetchedCount}`);
       
       // Log detailed order information for debugging
       if (orders.length > 0 && pageCount === 1) {
@@ -120,18 +374,14 @@ async function fetchAllOrders(queryParams) {
       if (orders.length < 250) {
         hasNextPage = false;
       }
-      
-      // Add small delay between requests to avoid rate limiting
-      if (hasNextPage && pageCount < MAX_PAGES) {
-        await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay
-      }
     }
     
     if (pageCount >= MAX_PAGES) {
-      console.warn(`⚠️ Reached maximum page limit (${MAX_PAGES}). Total orders: ${allOrders.length}`);
+      console.warn(`⚠️ Reached maximum page limit (${MAX_PAGES}). Total orders: ${fetchedCount}`);
     }
     
-    console.log(`✅ Total orders fetched: ${allOrders.length} across ${pageCount} page(s)`);
+    console.log(`✅ Total orders fetched: ${fetchedCount} across ${pageCount} page(s)`);
+    store.shopify.logMetrics(`fetchAllOrders ${store.id}`);
     return allOrders;
   } catch (error) {
     console.error('Error fetching orders with pagination:', error.response?.data || error.message);
@@ -149,384 +399,1705 @@ async function fetchAllOrders(queryParams) {
   }
 }
 
-// Transform Shopify order data to WooCommerce CSV format
-function transformOrderToWooFormat(order, lineItem) {
-  const orderNumber = (order.name || order.id).toString().replace('#', '');
-  // Use Egypt timezone (UTC+2) for correct local time display
-  const orderDate = moment(order.created_at).utcOffset('+02:00').format('YYYY-MM-DD HH:mm');
-  const paidDate = order.processed_at ? moment(order.processed_at).utcOffset('+02:00').format('YYYY-MM-DD HH:mm') : '';
+// Sync Shopify orders into the local store. The first run backfills every
+// order (from ORDER_BACKFILL_START if set); later runs only fetch orders
+// updated since the last one. Orders are requested oldest update first so
+// the watermark can be saved after every page and an interrupted run resumes.
+const ORDER_SYNC_INTERVAL_MINUTES = parseInt(process.env.ORDER_SYNC_INTERVAL_MINUTES || '5', 10);
+const ORDER_SYNC_MAX_AGE_SECONDS = parseInt(process.env.ORDER_SYNC_MAX_AGE_SECONDS || '60', 10);
+// Running syncs by store id; each store syncs on its own
+const runningSyncs = new Map();
+// Stores whose running sync stops after its current page
+const stoppingSyncs = new Set();
+
+function syncOrders(store, { full = false } = {}) {
+  if (!runningSyncs.has(store.id)) {
+    runningSyncs.set(store.id, stores.useStores([store], () => runOrderSync(store, full)).finally(() => {
+      runningSyncs.delete(store.id);
+    }));
+  }
+  return runningSyncs.get(store.id);
+}
+
+// Stop a store's running sync and wait for it to end, so a store isn't
+// changed or removed while a sync still writes with its old settings
+async function stopOrderSync(id) {
+  const running = runningSyncs.get(id);
+  if (!running) return;
+  stoppingSyncs.add(id);
+  try {
+    await running.catch(() => {});
+  } finally {
+    stoppingSyncs.delete(id);
+  }
+}
+
+// Sync every store, one after the other. Each store is looked up when its
+// turn comes, since stores can be changed or removed in between.
+async function syncAllStores(label) {
+  for (const { id } of stores.listStores()) {
+    const store = stores.getStore(id);
+    if (!store) continue;
+    await syncOrders(store).catch(error => console.error(`${label} failed for store ${store.id}:`, error.message));
+  }
+}
+
+async function runOrderSync(store, full) {
+  const orderStore = store.orders;
+  if (full) {
+    orderStore.setState('backfill_complete', false);
+    orderStore.setState('updated_at_watermark', null);
+  }
   
-  return {
-    "Order Number": orderNumber,
-    "Order Status": order.financial_status || 'pending',
-    "Order Date": orderDate,
-    "Customer Note": order.note || '',
-    "First Name (Billing)": order.billing_address?.first_name || '',
-    "Last Name (Billing)": order.billing_address?.last_name || '',
-    "Company (Billing)": order.billing_address?.company || '',
-    "Address 1&2 (Billing)": `${order.billing_address?.address1 || ''} ${order.billing_address?.address2 || ''}`.trim(),
-    "City (Billing)": order.billing_address?.city || '',
-    "State Code (Billing)": order.billing_address?.province_code || '',
-    "Postcode (Billing)": (order.billing_address?.zip || '').replace(/\s/g, ''),
-    "Country Code (Billing)": order.billing_address?.country_code || '',
-    "Email (Shipping)": order.shipping_address?.email || order.email || '',
-    "Paid Date": paidDate,
-    "Phone (Shipping)": (order.shipping_address?.phone || order.phone || '').replace(/\s/g, ''),
-    "Phone (Billing)": (order.billing_address?.phone || order.phone || '').replace(/\s/g, ''),
-    "First Name (Shipping)": order.shipping_address?.first_name || order.billing_address?.first_name || '',
-    "Last Name (Shipping)": order.shipping_address?.last_name || order.billing_address?.last_name || '',
-    "Address 1&2 (Shipping)": `${order.shipping_address?.address1 || order.billing_address?.address1 || ''} ${order.shipping_address?.address2 || order.billing_address?.address2 || ''}`.trim(),
-    "City (Shipping)": order.shipping_address?.city || order.billing_address?.city || '',
-    "State Code (Shipping)": order.shipping_address?.province_code || order.billing_address?.province_code || '',
-    "Postcode (Shipping)": (order.shipping_address?.zip || order.billing_address?.zip || '').replace(/\s/g, ''),
-    "Country Code (Shipping)": order.shipping_address?.country_code || order.billing_address?.country_code || '',
-    "Payment Method Title": order.payment_gateway_names?.[0] || 'Unknown',
-    "Cart Discount Amount": order.total_discounts || '0',
-    "Order Subtotal Amount": order.subtotal_price || '0',
-    "Shipping Method Title": order.shipping_lines?.[0]?.title || 'Standard',
-    "Order Shipping Amount": order.total_shipping_price_set?.shop_money?.amount || order.total_shipping_price || '0',
-    "Order Refund Amount": '0',
-    "Order Total Amount": order.total_price || '0',
-    "Order Total Tax Amount": order.total_tax || '0',
-    "SKU": lineItem.sku || '',
-    "Item #": lineItem.id,
-    "Item Name": lineItem.name || lineItem.title,
-    "Quantity (- Refund)": lineItem.quantity || 1,
-    "Item Cost": lineItem.price || '0',
-    "Coupon Code": order.discount_codes?.map(dc => dc.code.replace(/\s/g, '')).join(',') || '',
-    "Discount Amount": lineItem.total_discount || '0',
-    "Discount Amount Tax": '0',
-    "City Code": (order.billing_address?.city || '').replace(/\s/g, ''),
-    "Carrier Code": ''
+  const startedAt = new Date().toISOString();
+  const watermark = orderStore.getState('updated_at_watermark');
+  let syncedCount = 0;
+  
+  const filters = {
+    order: 'updated_at asc',
+    createdAtMin: process.env.ORDER_BACKFILL_START,
+    updatedAtMin: watermark
   };
+  
+  console.log(`Order sync [${store.id}] - ${watermark ? `incremental since ${watermark}` : 'backfill'} started`);
+  orderStore.setState('last_sync_started_at', startedAt);
+  
+  try {
+    await fetchAllOrders(store, filters, {
+      maxPages: Infinity,
+      onPage: orders => {
+        if (stoppingSyncs.has(store.id)) {
+          throw new Error('Sync stopped because the store was changed or removed');
+        }
+        if (orders.length === 0) return;
+        orderStore.upsertOrders(orders);
+        orderStore.setState('updated_at_watermark', orders[orders.length - 1].updated_at);
+        syncedCount += orders.length;
+      }
+    });
+  } catch (error) {
+    orderStore.setState('last_sync_error', { at: new Date().toISOString(), message: error.message });
+    throw error;
+  }
+  
+  orderStore.setState('backfill_complete', true);
+  orderStore.setState('last_synced_at', startedAt);
+  orderStore.setState('last_sync_count', syncedCount);
+  orderStore.setState('last_sync_error', null);
+  console.log(`Order sync [${store.id}] - ${syncedCount} orders stored`);
+  return syncedCount;
+}
+
+// Load orders for a date range from the local store, syncing first when the
+// last sync is older than ORDER_SYNC_MAX_AGE_SECONDS. Until the first backfill
+// has finished, orders are fetched from Shopify directly.
+// onPage is called for every page fetched from Shopify on that fallback path.
+async function loadOrders(store, { createdAtMin, createdAtMax, status, onPage }) {
+  if (!store.orders.getState('backfill_complete')) {
+    const filters = { createdAtMin, createdAtMax, status, order: 'created_at desc' };
+    console.log(`Order store ${store.id} not backfilled yet - fetching from Shopify:`, filters);
+    const orders = [];
+    await fetchAllOrders(store, filters, {
+      onPage: page => {
+        orders.push(...page);
+        onPage?.(page);
+      }
+    });
+    return orders;
+  }
+  
+  await refreshOrderStore(store);
+  return store.orders.queryOrders({ createdAtMin, createdAtMax, status });
+}
+
+// One page of the orders of loadOrders that match filters, sorted by sortBy,
+// with the possible duplicates of the orders on it. The order store filters,
+// sorts and pages in SQL and looks up duplicates among all stored orders;
+// before the first backfill the orders fetched from Shopify are used here.
+async function loadOrderPage(store, { createdAtMin, createdAtMax, status, filters }, { sortBy, sortDir, page, pageSize }) {
+  if (!store.orders.getState('backfill_complete')) {
+    const orders = await loadOrders(store, { createdAtMin, createdAtMax, status });
+    const matching = orderQuery.sortOrders(orderQuery.filterOrders(orders, filters), sortBy, sortDir);
+    const duplicates = validation.findDuplicates(orders);
+    return { count: matching.length, ...orderQuery.paginate(matching, page, pageSize), duplicates };
+  }
+  
+  await refreshOrderStore(store);
+  const range = { createdAtMin, createdAtMax, status, filters };
+  const count = store.orders.countOrders(range);
+  const { offset, ...result } = orderQuery.getPage(count, page, pageSize);
+  const items = store.orders.searchOrders(range, { sortBy, sortDir, limit: result.pageSize, offset });
+  return { count, ...result, items, duplicates: store.orders.findDuplicates(items) };
+}
+
+// Sync the store when the last sync is older than ORDER_SYNC_MAX_AGE_SECONDS.
+// A failed sync is logged and the stored orders are used as they are.
+async function refreshOrderStore(store) {
+  const lastSyncedAt = store.orders.getState('last_synced_at');
+  if (!lastSyncedAt || moment().diff(moment(lastSyncedAt), 'seconds') > ORDER_SYNC_MAX_AGE_SECONDS) {
+    try {
+      await syncOrders(store);
+    } catch (error) {
+      console.error('Order sync before read failed, serving stored orders:', error.message);
+    }
+  }
+}
+
+// Load the refunds of an order. orders.json embeds them on every order, so the
+// refunds endpoint is only hit when the order was fetched without that field.
+async function loadOrderRefunds(store, order) {
+  if (Array.isArray(order.refunds)) {
+    return order.refunds;
+  }
+  const data = await fetchShopifyData(store, `orders/${order.id}/refunds.json`);
+  return data.refunds || [];
+}
+
+// Load the payment transactions of an order. orders.json doesn't include
+// them, so they are fetched once and kept with the stored order until it
+// changes. GraphQL stores get them with the order, except for orders that
+// came in through webhooks.
+async function loadOrderTransactions(store, order) {
+  if (Array.isArray(order.transactions)) {
+    return order.transactions;
+  }
+  let transactions;
+  if (store.orderSource === 'graphql') {
+    transactions = (await graphqlOrders.fetchOrder(store.shopify, order.id))?.transactions || [];
+  } else {
+    const data = await fetchShopifyData(store, `orders/${order.id}/transactions.json`);
+    transactions = data.transactions || [];
+  }
+  if (store.orders.getOrder(order.id)?.updated_at === order.updated_at) {
+    store.orders.upsertOrders([{ ...order, transactions }]);
+  }
+  return transactions;
+}
+
+// Build the export rows of an order with the profile's columns: one per line
+// item, or with mode "orders" a single row that summarizes the items.
+// Items that were refunded completely can be left out. typed builds rows
+// for Excel, with numbers and dates as such. Resolves with the rows and the
+// refunds and line items they were built from.
+async function buildOrderRows(store, order, { profile, mode, excludeRefundedItems }, { typed = false } = {}) {
+  const refundSummary = summarizeRefunds(await loadOrderRefunds(store, order));
+  const paymentSummary = exportProfiles.usesTransactions(profile)
+    ? summarizePayments(await loadOrderTransactions(store, order))
+    : null;
+  const lineItems = (order.line_items || []).filter(lineItem =>
+    !excludeRefundedItems || getNetQuantity(lineItem, refundSummary) > 0);
+  
+  const context = { order, lineItems, refundSummary, paymentSummary, store };
+  const rows = mode === 'orders'
+    ? [exportProfiles.buildRow(profile, context, { typed })]
+    : lineItems.map(lineItem => exportProfiles.buildRow(profile, { ...context, lineItem }, { typed }));
+  return { rows, refundSummary, lineItems };
 }
 
 // API endpoint for dashboard table view
 app.get('/api/orders', async (req, res) => {
   try {
-    const { created_at_min, created_at_max, status } = req.query;
-    
-    console.log('Dashboard API - Request params:', { created_at_min, created_at_max, status });
-    
-    // Fetch ALL orders - explicitly request all statuses
-    // status=any includes open, closed, cancelled, and archived orders
-    // order=created_at desc shows newest first (better UX)
-    let queryParams = 'limit=250&status=any&order=created_at desc';
+    const { created_at_min, created_at_max, status, sort_by, sort_dir, page, page_size } = req.query;
     
-    // Adjust date range for Egypt timezone (UTC+2)
-    // Subtract 2 hours from start date to catch orders created early in the day
-    if (created_at_min) {
-      const adjustedMin = new Date(created_at_min);
-      adjustedMin.setHours(adjustedMin.getHours() - 2);
-      queryParams += `&created_at_min=${adjustedMin.toISOString()}`;
-    }
-    if (created_at_max) queryParams += `&created_at_max=${created_at_max}`;
+    console.log('Dashboard API - Request params:', req.query);
+    const store = stores.resolveStore(req.query.store);
     
-    console.log('Dashboard API - Query params:', queryParams);
+    // Dates are whole days in the store's timezone
+    const createdAtMin = timezone.startOfDay(created_at_min, store.timezone);
+    const createdAtMax = timezone.endOfDay(created_at_max, store.timezone);
     
-    // Use pagination to fetch ALL orders
-    const orders = await fetchAllOrders(queryParams);
-    
-    console.log(`Dashboard API - Returning ${orders.length} orders`);
+    // Filter, sort and page on the server so the browser only gets one
+    // page of trimmed orders. All statuses (open, closed, cancelled and
+    // archived) unless one is given.
+    const result = await loadOrderPage(store, { createdAtMin, createdAtMax, status, filters: req.query }, { sortBy: sort_by, sortDir: sort_dir, page, pageSize: page_size });
+    console.log(`Dashboard API - ${result.count} orders match, returning page ${result.page}/${result.totalPages}`);
     
     res.json({
       success: true,
-      count: orders.length,
-      orders: orders
+      count: result.count,
+      page: result.page,
+      pageSize: result.pageSize,
+      totalPages: result.totalPages,
+      store: store.id,
+      timezone: store.timezone,
+      orders: result.items.map(order => ({
+        ...orderQuery.projectOrder(order, store),
+        issues: validation.validateOrder(order, result.duplicates)
+      }))
     });
   } catch (error) {
     console.error('API error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Export orders endpoint
-app.post('/export-orders', async (req, res) => {
+// Order details for the dashboard modal
+app.get('/api/orders/:id', async (req, res) => {
   try {
-    const { startDate, endDate, status } = req.body;
-    
-    // Fetch ALL orders - explicitly request all statuses
-    // status=any includes open, closed, cancelled, and archived orders
-    // order=created_at desc shows newest first
-    let queryParams = 'limit=250&status=any&order=created_at desc';
-    
-    if (startDate) {
-      // Adjust for Egypt timezone (UTC+2) - subtract 2 hours to catch early orders
-      const startDateObj = new Date(startDate);
-      startDateObj.setHours(startDateObj.getHours() - 2);
-      queryParams += `&created_at_min=${startDateObj.toISOString()}`;
-    }
-    if (endDate) {
-      // Set to end of day
-      const endDateObj = new Date(endDate);
-      endDateObj.setHours(23, 59, 59, 999);
-      queryParams += `&created_at_max=${endDateObj.toISOString()}`;
-    }
-    if (status && status !== 'any') queryParams += `&status=${status}`;
-    
-    console.log('CSV Export - Query params:', queryParams);
-    
-    // Use pagination to fetch ALL orders
-    const orders = await fetchAllOrders(queryParams);
-    
-    console.log(`CSV Export - Found ${orders.length} orders`);
-    
-    if (!orders || orders.length === 0) {
-      return res.status(404).json({ error: 'No orders found' });
-    }
-    
-    const csvData = [];
-    for (const order of orders) {
-      // Skip orders without line items
-      if (!order.line_items || order.line_items.length === 0) {
-        console.log(`CSV Export - Skipping order ${order.name} - no line items`);
-        continue;
-      }
-      
-      for (const lineItem of order.line_items) {
-        csvData.push(transformOrderToWooFormat(order, lineItem));
+    const store = stores.resolveStore(req.query.store);
+    let order = store.orders.getOrder(req.params.id);
+    if (!order && store.orderSource === 'graphql') {
+      order = /^\d+$/.test(req.params.id) ? await graphqlOrders.fetchOrder(store.shopify, req.params.id) : null;
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
       }
+    } else if (!order) {
+      const data = await fetchShopifyData(store, `orders/${encodeURIComponent(req.params.id)}.json`);
+      order = data.order;
     }
     
-    console.log(`CSV Export - Generated ${csvData.length} rows from ${orders.length} orders`);
-    
-    const csvWriter = createObjectCsvWriter({
-      path: 'orders_export.csv',
-      encoding: 'utf8',
-      append: false,
-      header: [
-        {id: 'Order Number', title: 'Order Number'},
-        {id: 'Order Status', title: 'Order Status'},
-        {id: 'Order Date', title: 'Order Date'},
-        {id: 'Customer Note', title: 'Customer Note'},
-        {id: 'First Name (Billing)', title: 'First Name (Billing)'},
-        {id: 'Last Name (Billing)', title: 'Last Name (Billing)'},
-        {id: 'Company (Billing)', title: 'Company (Billing)'},
-        {id: 'Address 1&2 (Billing)', title: 'Address 1&2 (Billing)'},
-        {id: 'City (Billing)', title: 'City (Billing)'},
-        {id: 'State Code (Billing)', title: 'State Code (Billing)'},
-        {id: 'Postcode (Billing)', title: 'Postcode (Billing)'},
-        {id: 'Country Code (Billing)', title: 'Country Code (Billing)'},
-        {id: 'Email (Shipping)', title: 'Email (Shipping)'},
-        {id: 'Paid Date', title: 'Paid Date'},
-        {id: 'Phone (Shipping)', title: 'Phone (Shipping)'},
-        {id: 'Phone (Billing)', title: 'Phone (Billing)'},
-        {id: 'First Name (Shipping)', title: 'First Name (Shipping)'},
-        {id: 'Last Name (Shipping)', title: 'Last Name (Shipping)'},
-        {id: 'Address 1&2 (Shipping)', title: 'Address 1&2 (Shipping)'},
-        {id: 'City (Shipping)', title: 'City (Shipping)'},
-        {id: 'State Code (Shipping)', title: 'State Code (Shipping)'},
-        {id: 'Postcode (Shipping)', title: 'Postcode (Shipping)'},
-        {id: 'Country Code (Shipping)', title: 'Country Code (Shipping)'},
-        {id: 'Payment Method Title', title: 'Payment Method Title'},
-        {id: 'Cart Discount Amount', title: 'Cart Discount Amount'},
-        {id: 'Order Subtotal Amount', title: 'Order Subtotal Amount'},
-        {id: 'Shipping Method Title', title: 'Shipping Method Title'},
-        {id: 'Order Shipping Amount', title: 'Order Shipping Amount'},
-        {id: 'Order Refund Amount', title: 'Order Refund Amount'},
-        {id: 'Order Total Amount', title: 'Order Total Amount'},
-        {id: 'Order Total Tax Amount', title: 'Order Total Tax Amount'},
-        {id: 'SKU', title: 'SKU'},
-        {id: 'Item #', title: 'Item #'},
-        {id: 'Item Name', title: 'Item Name'},
-        {id: 'Quantity (- Refund)', title: 'Quantity (- Refund)'},
-        {id: 'Item Cost', title: 'Item Cost'},
-        {id: 'Coupon Code', title: 'Coupon Code'},
-        {id: 'Discount Amount', title: 'Discount Amount'},
-        {id: 'Discount Amount Tax', title: 'Discount Amount Tax'},
-        {id: 'City Code', title: 'City Code'},
-        {id: 'Carrier Code', title: 'Carrier Code'}
-      ]
+    // Compared with the store's orders placed around the same time
+    const windowMs = validation.DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+    const nearby = await loadOrders(store, {
+      createdAtMin: new Date(new Date(order.created_at).getTime() - windowMs).toISOString(),
+      createdAtMax: new Date(new Date(order.created_at).getTime() + windowMs).toISOString()
+    });
+    const others = nearby.filter(other => String(other.id) !== String(order.id));
+    const duplicates = validation.findDuplicates([order, ...others]);
+    res.json({
+      success: true,
+      order: { ...orderQuery.projectOrderDetails(order, store), issues: validation.validateOrder(order, duplicates) }
     });
-    
-    await csvWriter.writeRecords(csvData);
-    
-    const fs = require('fs');
-    let csvContent = fs.readFileSync('orders_export.csv', 'utf8');
-    
-    // Add UTF-8 BOM for Excel to properly display Arabic characters
-    const BOM = '\uFEFF';
-    csvContent = BOM + csvContent;
-    
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', 'attachment; filename="orders_export.csv"');
-    res.send(csvContent);
-    
   } catch (error) {
-    console.error('Export error:', error);
-    res.status(500).json({ error: error.message });
+    if (error.response?.status === 404) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    console.error('Order details error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// Export orders to Excel endpoint
-app.post('/export-orders-excel', async (req, res) => {
+// Revenue, payment, status, discount and SKU figures for the dashboard
+// charts. Takes the same filters as /api/orders; top limits the SKU lists.
+app.get('/api/analytics', async (req, res) => {
   try {
-    const { startDate, endDate, status } = req.body;
-    
-    // Fetch ALL orders - explicitly request all statuses
-    // status=any includes open, closed, cancelled, and archived orders
-    // order=created_at desc shows newest first
-    let queryParams = 'limit=250&status=any&order=created_at desc';
-    
-    if (startDate) {
-      // Adjust for Egypt timezone (UTC+2) - subtract 2 hours to catch early orders
-      const startDateObj = new Date(startDate);
-      startDateObj.setHours(startDateObj.getHours() - 2);
-      queryParams += `&created_at_min=${startDateObj.toISOString()}`;
-    }
-    if (endDate) {
-      // Set to end of day
-      const endDateObj = new Date(endDate);
-      endDateObj.setHours(23, 59, 59, 999);
-      queryParams += `&created_at_max=${endDateObj.toISOString()}`;
-    }
-    if (status && status !== 'any') queryParams += `&status=${status}`;
-    
-    console.log('Excel Export - Query params:', queryParams);
-    
-    // Use pagination to fetch ALL orders
-    const orders = await fetchAllOrders(queryParams);
+    const { created_at_min, created_at_max, status, top } = req.query;
+    const store = stores.resolveStore(req.query.store);
     
-    console.log(`Excel Export - Found ${orders.length} orders`);
+    const orders = await loadOrders(store, {
+      createdAtMin: timezone.startOfDay(created_at_min, store.timezone),
+      createdAtMax: timezone.endOfDay(created_at_max, store.timezone),
+      status
+    });
+    const matching = orderQuery.filterOrders(orders, req.query);
     
-    if (!orders || orders.length === 0) {
-      console.log('Excel Export - No orders found, returning 404');
-      return res.status(404).json({ error: 'No orders found' });
+    res.json({
+      success: true,
+      store: store.id,
+      timezone: store.timezone,
+      ...analytics.summarizeOrders(matching, {
+        top: Math.min(parseInt(top, 10) || 10, 100),
+        timezone: store.timezone,
+        currency: store.currency
+      })
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Rows per line item (the default) or one row per order
+const EXPORT_MODES = ['line_items', 'orders'];
+
+// Lay out Excel sheets right to left when EXCEL_RIGHT_TO_LEFT=true, unless an export asks otherwise
+const EXCEL_RIGHT_TO_LEFT = process.env.EXCEL_RIGHT_TO_LEFT === 'true';
+
+// Read and validate the options shared by every export request. store is a
+// store id, or "all" to export every store with a Store column in front.
+// onlyNew leaves out orders that are in an earlier export (to destination,
+// when one is named). tagOrders tags the exported orders in Shopify
+// afterwards, or with dryRun only reports what it would tag. rightToLeft
+// lays out the sheets of Excel files right to left.
+function parseExportRequest(body) {
+  const { startDate, endDate, status, excludeRefundedItems, profile: profileName, store: storeId, mode = 'line_items', onlyNew, destination = '', tagOrders, dryRun, rightToLeft } = body || {};
+  
+  const profile = exportProfiles.getProfile(profileName);
+  if (!profile) {
+    const error = new Error(`Unknown export profile "${profileName}"`);
+    error.status = 400;
+    throw error;
+  }
+  if (!EXPORT_MODES.includes(mode)) {
+    const error = new Error(`Export mode must be one of ${EXPORT_MODES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if (destination.toString().length > 100) {
+    const error = new Error('Destination must be at most 100 characters');
+    error.status = 400;
+    throw error;
+  }
+  
+  const allStores = storeId === 'all';
+  const selected = allStores ? stores.listStores() : [stores.resolveStore(storeId)];
+  if (selected.length === 0) {
+    const error = new Error('No Shopify store is configured');
+    error.status = 503;
+    throw error;
+  }
+  
+  return {
+    // From the start of startDate to the end of endDate in each store's timezone
+    targets: selected.map(store => ({
+      store,
+      createdAtMin: timezone.startOfDay(startDate, store.timezone),
+      createdAtMax: timezone.endOfDay(endDate, store.timezone)
+    })),
+    allStores,
+    startDate,
+    endDate,
+    status,
+    profile,
+    mode,
+    excludeRefundedItems: excludeRefundedItems === true || excludeRefundedItems === 'true',
+    onlyNew: onlyNew === true || onlyNew === 'true',
+    destination: destination.toString().trim(),
+    tagOrders: tagOrders === true || tagOrders === 'true',
+    dryRun: dryRun === true || dryRun === 'true',
+    rightToLeft: rightToLeft === undefined || rightToLeft === '' ? EXCEL_RIGHT_TO_LEFT : rightToLeft === true || rightToLeft === 'true'
+  };
+}
+
+// Export options as plain values, for job details and the access log
+function describeExportOptions(options) {
+  return {
+    store: options.allStores ? 'all' : options.targets[0].store.id,
+    startDate: options.startDate,
+    endDate: options.endDate,
+    status: options.status,
+    profile: options.profile.name,
+    mode: options.mode,
+    excludeRefundedItems: options.excludeRefundedItems,
+    onlyNew: options.onlyNew,
+    destination: options.destination || undefined,
+    tagOrders: options.tagOrders,
+    dryRun: options.tagOrders ? options.dryRun : undefined,
+    rightToLeft: options.rightToLeft
+  };
+}
+
+// Export result counts for the access log, without the skipped order list
+// or the issues of each order
+function describeExportResult({ skippedOrders, validation: checks, exportedOrders, ...result }) {
+  return { ...result, skippedOrderCount: skippedOrders?.length || 0, validation: describeValidation(checks) };
+}
+
+// Validation counts without the orders they were found on
+function describeValidation(checks) {
+  if (!checks) {
+    return undefined;
+  }
+  const { orders, ...summary } = checks;
+  return summary;
+}
+
+// Columns of the Validation sheet, one row per issue found
+const VALIDATION_COLUMNS = [
+  { title: 'Order', width: 12 },
+  { title: 'Date', width: 18, type: 'date' },
+  { title: 'Severity', width: 10 },
+  { title: 'Field', width: 10 },
+  { title: 'Issue', width: 60 }
+];
+
+function buildValidationRows(checked, allStores) {
+  const rows = checked.flatMap(({ store, order, issues }) => issues.map(found => [
+    ...(allStores ? [store.name] : []),
+    order.name,
+    timezone.toSpreadsheetDate(order.created_at, store.timezone),
+    found.severity,
+    found.field,
+    found.message
+  ]));
+  if (rows.length === 0) {
+    const blanks = allStores ? ['', ''] : [''];
+    rows.push([...blanks, '', '', '', `No issues found in ${checked.length} orders`]);
+  }
+  return rows;
+}
+
+// Export orders to a CSV or XLSX file, streaming rows to disk as they are
+// built. progress is updated as orders are loaded and rows are written, and
+// the export stops early once isCancelled() returns true. Resolves with the
+// order and row counts, the orders in the file and those left out of it,
+// and the validation issues of the orders in it (also written to a
+// Validation sheet in Excel files, after sheets of totals by day, payment
+// method and SKU). Without fetchTransactions, profiles that need payment
+// transactions fail with a 409 when any order doesn't have them stored yet,
+// instead of making a Shopify request per order. The exported stores are in
+// use until it ends.
+function runExport(format, options, filePath, settings) {
+  return stores.useStores(options.targets.map(({ store }) => store), () => writeExport(format, options, filePath, settings));
+}
+
+async function writeExport(format, options, filePath, { progress = {}, isCancelled = () => false, fetchTransactions = true } = {}) {
+  const label = format === 'xlsx' ? 'Excel Export' : 'CSV Export';
+  const { targets, allStores, status, profile, mode } = options;
+  
+  // All statuses unless one is selected, newest first within each store
+  const batches = [];
+  for (const { store, createdAtMin, createdAtMax } of targets) {
+    console.log(`${label} - ${store.id} date range:`, { createdAtMin, createdAtMax, status, profile: profile.name });
+    const orders = await loadOrders(store, {
+      createdAtMin,
+      createdAtMax,
+      status,
+      onPage: () => {
+        progress.pagesFetched = (progress.pagesFetched || 0) + 1;
+      }
+    });
+    console.log(`${label} - Found ${orders.length} orders in ${store.id}`);
+    batches.push({ store, orders });
+  }
+  
+  // Orders already sent out are left out altogether, not listed as skipped
+  let previouslyExportedCount = 0;
+  if (options.onlyNew) {
+    const exported = exportHistory.getExportedOrderKeys({ destination: options.destination });
+    for (const batch of batches) {
+      const fresh = batch.orders.filter(order => !exported.has(`${batch.store.id}:${order.id}`));
+      previouslyExportedCount += batch.orders.length - fresh.length;
+      batch.orders = fresh;
+    }
+    console.log(`${label} - Left out ${previouslyExportedCount} orders exported before${options.destination ? ` to ${options.destination}` : ''}`);
+  }
+  const orderCount = batches.reduce((sum, batch) => sum + batch.orders.length, 0);
+  progress.ordersFound = orderCount;
+  
+  if (orderCount === 0) {
+    const error = new Error(previouslyExportedCount > 0 ? 'No orders found that have not been exported before' : 'No orders found');
+    error.status = 404;
+    throw error;
+  }
+  
+  if (!fetchTransactions && exportProfiles.usesTransactions(profile)) {
+    const missing = batches.reduce((sum, batch) => sum + batch.orders.filter(order => !Array.isArray(order.transactions)).length, 0);
+    if (missing > 0) {
+      const error = new Error(`The "${profile.name}" profile needs payment transactions that ${missing} orders don't have yet; export them with a background job (POST /api/export-jobs)`);
+      error.status = 409;
+      throw error;
+    }
+  }
+  
+  // Across stores, every row starts with the store it came from
+  const columns = [
+    ...(allStores ? [{ title: 'Store', width: 18 }] : []),
+    ...exportProfiles.getProfileColumns(profile)
+  ];
+  // Amounts show the currency when every store exported uses the same one
+  const currencies = new Set(targets.map(({ store }) => store.currency));
+  const writer = format === 'xlsx'
+    ? createXlsxWriter(filePath, columns, { currency: currencies.size === 1 ? [...currencies][0] : '', rightToLeft: options.rightToLeft })
+    : createCsvWriter(filePath, columns);
+  
+  let rowCount = 0;
+  const skippedOrders = [];
+  const checked = [];
+  const skip = (store, order, reason) => {
+    console.log(`${label} - Skipping order ${order.name} - ${reason}`);
+    skippedOrders.push({ store: store.id, id: order.id, name: order.name, reason });
+  };
+  try {
+    for (const { store, orders } of batches) {
+      const duplicates = validation.findDuplicates(orders);
+      for (const order of orders) {
+        if (isCancelled()) {
+          throw new Error('Export cancelled');
+        }
+        progress.ordersProcessed = (progress.ordersProcessed || 0) + 1;
+        
+        // Line item rows need line items; order rows are written regardless
+        if (mode !== 'orders' && (!order.line_items || order.line_items.length === 0)) {
+          skip(store, order, 'no line items');
+          continue;
+        }
+        
+        const { rows, refundSummary, lineItems } = await buildOrderRows(store, order, options, { typed: format === 'xlsx' });
+        if (rows.length === 0) {
+          skip(store, order, 'all line items refunded');
+          continue;
+        }
+        for (const row of rows) {
+          await writer.write(allStores ? [store.name, ...row] : row);
+          rowCount++;
+          progress.rowsWritten = rowCount;
+        }
+        checked.push({ store, order, refundSummary, lineItems, issues: validation.validateOrder(order, duplicates) });
+      }
     }
     
-    // Create workbook and worksheet
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Orders');
-    
-    // Define columns (same order as WOO EXAMPLE.csv)
-    worksheet.columns = [
-      { header: 'Order Number', key: 'orderNumber', width: 15 },
-      { header: 'Order Status', key: 'orderStatus', width: 12 },
-      { header: 'Order Date', key: 'orderDate', width: 18 },
-      { header: 'Customer Note', key: 'customerNote', width: 30 },
-      { header: 'First Name (Billing)', key: 'firstNameBilling', width: 18 },
-      { header: 'Last Name (Billing)', key: 'lastNameBilling', width: 18 },
-      { header: 'Company (Billing)', key: 'companyBilling', width: 20 },
-      { header: 'Address 1&2 (Billing)', key: 'addressBilling', width: 35 },
-      { header: 'City (Billing)', key: 'cityBilling', width: 18 },
-      { header: 'State Code (Billing)', key: 'stateBilling', width: 15 },
-      { header: 'Postcode (Billing)', key: 'postcodeBilling', width: 12 },
-      { header: 'Country Code (Billing)', key: 'countryBilling', width: 15 },
-      { header: 'Email (Shipping)', key: 'emailShipping', width: 25 },
-      { header: 'Paid Date', key: 'paidDate', width: 18 },
-      { header: 'Phone (Shipping)', key: 'phoneShipping', width: 18 },
-      { header: 'Phone (Billing)', key: 'phoneBilling', width: 18 },
-      { header: 'First Name (Shipping)', key: 'firstNameShipping', width: 18 },
-      { header: 'Last Name (Shipping)', key: 'lastNameShipping', width: 18 },
-      { header: 'Address 1&2 (Shipping)', key: 'addressShipping', width: 35 },
-      { header: 'City (Shipping)', key: 'cityShipping', width: 18 },
-      { header: 'State Code (Shipping)', key: 'stateShipping', width: 15 },
-      { header: 'Postcode (Shipping)', key: 'postcodeShipping', width: 12 },
-      { header: 'Country Code (Shipping)', key: 'countryShipping', width: 15 },
-      { header: 'Payment Method Title', key: 'paymentMethod', width: 20 },
-      { header: 'Cart Discount Amount', key: 'cartDiscount', width: 18 },
-      { header: 'Order Subtotal Amount', key: 'subtotal', width: 18 },
-      { header: 'Shipping Method Title', key: 'shippingMethod', width: 20 },
-      { header: 'Order Shipping Amount', key: 'shippingAmount', width: 18 },
-      { header: 'Order Refund Amount', key: 'refundAmount', width: 18 },
-      { header: 'Order Total Amount', key: 'totalAmount', width: 18 },
-      { header: 'Order Total Tax Amount', key: 'taxAmount', width: 18 },
-      { header: 'SKU', key: 'sku', width: 20 },
-      { header: 'Item #', key: 'itemNumber', width: 15 },
-      { header: 'Item Name', key: 'itemName', width: 40 },
-      { header: 'Quantity (- Refund)', key: 'quantity', width: 15 },
-      { header: 'Item Cost', key: 'itemCost', width: 12 },
-      { header: 'Coupon Code', key: 'couponCode', width: 15 },
-      { header: 'Discount Amount', key: 'discountAmount', width: 15 },
-      { header: 'Discount Amount Tax', key: 'discountTax', width: 15 },
-      { header: 'City Code', key: 'cityCode', width: 12 },
-      { header: 'Carrier Code', key: 'carrierCode', width: 12 }
-    ];
+    if (writer.addSheet) {
+      for (const sheet of exportSummary.buildSummarySheets(checked, { byStore: allStores })) {
+        await writer.addSheet(sheet.name, sheet.columns, sheet.rows, { totals: sheet.totals });
+      }
+      const columns = [...(allStores ? [{ title: 'Store', width: 18 }] : []), ...VALIDATION_COLUMNS];
+      await writer.addSheet('Validation', columns, buildValidationRows(checked, allStores));
+    }
+  } finally {
+    await writer.close();
+  }
+  
+  const flagged = checked.filter(({ issues }) => issues.length > 0);
+  const checks = {
+    ...validation.summarizeIssues(checked),
+    orders: flagged.map(({ store, order, issues }) => ({ store: store.id, id: order.id, name: order.name, issues }))
+  };
+  console.log(`${label} - Generated ${rowCount} rows from ${orderCount} orders, skipped ${skippedOrders.length}, ${checks.ordersWithErrors} with errors and ${checks.ordersWithWarnings} with warnings`);
+  const exportedOrders = checked.map(({ store, order }) => ({ store: store.id, id: order.id, name: order.name }));
+  return { orderCount, rowCount, skippedOrders, previouslyExportedCount, validation: checks, exportedOrders };
+}
+
+function createCsvWriter(filePath, columns) {
+  const stringifier = createArrayCsvStringifier({ header: columns.map(column => column.title) });
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  
+  // The first error (a full disk, a missing directory) fails the write
+  // waiting on it and every write and close after it
+  let streamError = null;
+  const waiting = new Set();
+  stream.on('error', error => {
+    streamError = streamError || error;
+    for (const reject of waiting) reject(streamError);
+    waiting.clear();
+  });
+  
+  // Write a chunk, waiting for the stream to drain when its buffer is full
+  const write = chunk => new Promise((resolve, reject) => {
+    if (streamError) return reject(streamError);
+    if (stream.write(chunk)) return resolve();
+    waiting.add(reject);
+    stream.once('drain', () => {
+      waiting.delete(reject);
+      resolve();
+    });
+  });
+  
+  // Add UTF-8 BOM for Excel to properly display Arabic characters
+  stream.write('\uFEFF' + stringifier.getHeaderString());
+  
+  return {
+    write: row => write(stringifier.stringifyRecords([row])),
+    close: () => new Promise((resolve, reject) => {
+      if (streamError) return reject(streamError);
+      waiting.add(reject);
+      stream.end(() => {
+        waiting.delete(reject);
+        resolve();
+      });
+    })
+  };
+}
+
+// Number formats of typed Excel columns. Amounts are set per workbook,
+// with the currency when there is one.
+const XLSX_NUMBER_FORMATS = {
+  number: '#,##0',
+  date: 'yyyy-mm-dd hh:mm',
+  day: 'yyyy-mm-dd'
+};
+
+// Every sheet gets a frozen header row with an autofilter, and cells with
+// Arabic text read right to left. rightToLeft lays the sheets out right to
+// left as well.
+function createXlsxWriter(filePath, columns, { currency = '', rightToLeft = false } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
+  const numberFormats = { ...XLSX_NUMBER_FORMATS, amount: currency ? `#,##0.00 "${currency}"` : '#,##0.00' };
+  
+  const addWorksheet = (name, sheetColumns) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1, rightToLeft }] });
+    sheet.columns = sheetColumns.map((column, index) => ({
+      header: column.title,
+      key: `column${index}`,
+      width: column.width,
+      style: numberFormats[column.type] ? { numFmt: numberFormats[column.type] } : {}
+    }));
     
     // Style header row
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).fill = {
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).fill = {
       type: 'pattern',
       pattern: 'solid',
       fgColor: { argb: 'FFE0E0E0' }
     };
-    
-    // Add data rows
-    let rowCount = 0;
-    for (const order of orders) {
-      // Skip orders without line items
-      if (!order.line_items || order.line_items.length === 0) {
-        console.log(`Excel Export - Skipping order ${order.name} - no line items`);
-        continue;
+    sheet.getRow(1).commit();
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheetColumns.length } };
+    return sheet;
+  };
+  
+  const addRow = (sheet, values) => {
+    const row = sheet.addRow(values);
+    row.eachCell(cell => {
+      if (typeof cell.value === 'string' && isRtl(cell.value)) {
+        cell.alignment = { horizontal: 'right', readingOrder: 'rtl' };
       }
-      
-      for (const lineItem of order.line_items) {
-        const rowData = transformOrderToWooFormat(order, lineItem);
-        worksheet.addRow({
-          orderNumber: rowData['Order Number'],
-          orderStatus: rowData['Order Status'],
-          orderDate: rowData['Order Date'],
-          customerNote: rowData['Customer Note'],
-          firstNameBilling: rowData['First Name (Billing)'],
-          lastNameBilling: rowData['Last Name (Billing)'],
-          companyBilling: rowData['Company (Billing)'],
-          addressBilling: rowData['Address 1&2 (Billing)'],
-          cityBilling: rowData['City (Billing)'],
-          stateBilling: rowData['State Code (Billing)'],
-          postcodeBilling: rowData['Postcode (Billing)'],
-          countryBilling: rowData['Country Code (Billing)'],
-          emailShipping: rowData['Email (Shipping)'],
-          paidDate: rowData['Paid Date'],
-          phoneShipping: rowData['Phone (Shipping)'],
-          phoneBilling: rowData['Phone (Billing)'],
-          firstNameShipping: rowData['First Name (Shipping)'],
-          lastNameShipping: rowData['Last Name (Shipping)'],
-          addressShipping: rowData['Address 1&2 (Shipping)'],
-          cityShipping: rowData['City (Shipping)'],
-          stateShipping: rowData['State Code (Shipping)'],
-          postcodeShipping: rowData['Postcode (Shipping)'],
-          countryShipping: rowData['Country Code (Shipping)'],
-          paymentMethod: rowData['Payment Method Title'],
-          cartDiscount: rowData['Cart Discount Amount'],
-          subtotal: rowData['Order Subtotal Amount'],
-          shippingMethod: rowData['Shipping Method Title'],
-          shippingAmount: rowData['Order Shipping Amount'],
-          refundAmount: rowData['Order Refund Amount'],
-          totalAmount: rowData['Order Total Amount'],
-          taxAmount: rowData['Order Total Tax Amount'],
-          sku: rowData['SKU'],
-          itemNumber: rowData['Item #'],
-          itemName: rowData['Item Name'],
-          quantity: rowData['Quantity (- Refund)'],
-          itemCost: rowData['Item Cost'],
-          couponCode: rowData['Coupon Code'],
-          discountAmount: rowData['Discount Amount'],
-          discountTax: rowData['Discount Amount Tax'],
-          cityCode: rowData['City Code'],
-          carrierCode: rowData['Carrier Code']
-        });
-        rowCount++;
+    });
+    return row;
+  };
+  
+  // Columns of the selected profile (WOO EXAMPLE.csv layout by default)
+  const worksheet = addWorksheet('Orders', columns);
+  
+  return {
+    write: async row => addRow(worksheet, row).commit(),
+    // Another sheet after the orders, written in one go. totals is a last
+    // row in bold, set apart by a blank row so sorting leaves it in place.
+    addSheet: async (name, sheetColumns, rows, { totals } = {}) => {
+      worksheet.commit();
+      const sheet = addWorksheet(name, sheetColumns);
+      for (const row of rows) {
+        addRow(sheet, row).commit();
       }
+      if (totals) {
+        sheet.addRow([]).commit();
+        const row = addRow(sheet, totals);
+        row.font = { bold: true };
+        row.commit();
+      }
+      sheet.commit();
+    },
+    close: async () => {
+      worksheet.commit();
+      await workbook.commit();
     }
+  };
+}
+
+// Tag exported orders ({ store, id, name }) in Shopify with each store's
+// export tag and save the report. Returns the report's id and summary.
+async function tagExportedOrders(exportedOrders, { dryRun, user, historyId, onProgress }) {
+  const results = [];
+  const tags = [];
+  for (const storeId of [...new Set(exportedOrders.map(order => order.store))]) {
+    const store = stores.resolveStore(storeId);
+    const tag = writeBack.formatExportTag(store);
+    tags.push(tag);
+    const done = results.length;
+    results.push(...await stores.useStores([store], () => writeBack.tagOrders(store, exportedOrders.filter(order => order.store === storeId), tag, {
+      dryRun,
+      onProgress: count => onProgress?.(done + count)
+    })));
+  }
+  const report = writeBack.saveReport({
+    type: 'tag',
+    user,
+    historyId,
+    tag: [...new Set(tags)].join(', '),
+    dryRun,
+    results
+  });
+  console.log(`Tagging - ${dryRun ? 'Dry run: ' : ''}${JSON.stringify(report.summary)}`);
+  return { reportId: report.id, tag: report.tag, dryRun: report.dryRun, summary: report.summary };
+}
+
+// Keep a finished export in the export history and, with tagOrders, tag its
+// orders in Shopify. Returns the export result for the caller with the
+// history id, checksum and tagging report in place of the list of orders in
+// the file.
+async function finishExport(format, options, filePath, { exportedOrders, ...result }, { source, user, fileName, scheduleName, onTagged }) {
+  const entry = await exportHistory.recordExport({
+    filePath,
+    format,
+    fileName,
+    source,
+    user,
+    scheduleName,
+    params: describeExportOptions(options),
+    orders: exportedOrders,
+    rowCount: result.rowCount
+  });
+  const finished = { ...result, historyId: entry.id, checksum: entry.checksum };
+  if (options.tagOrders) {
+    finished.tagging = await tagExportedOrders(exportedOrders, { dryRun: options.dryRun, user, historyId: entry.id, onProgress: onTagged });
+  }
+  return finished;
+}
+
+const SKIPPED_ORDERS_HEADER_LIMIT = 100;
+
+// Run an export into a temp file and send it as the response. Payment
+// transactions are not fetched order by order while the client waits;
+// profiles that need them go through export jobs unless they are stored.
+async function sendExport(req, res, format) {
+  const filePath = exportJobs.createTempFile(format);
+  try {
+    const options = parseExportRequest(req.body);
+    const fileName = `orders_export${options.allStores ? '_all_stores' : ''}.${format}`;
+    const result = await finishExport(format, options, filePath, await runExport(format, options, filePath, { fetchTransactions: false }), {
+      source: 'download',
+      user: req.user.username,
+      fileName
+    });
+    accessLog.record('export', req, { format, ...describeExportOptions(options), ...describeExportResult(result) });
     
-    console.log(`Excel Export - Generated ${rowCount} rows from ${orders.length} orders`);
+    // Orders left out of the file: their count, and the first
+    // SKIPPED_ORDERS_HEADER_LIMIT as URL-encoded names with the reason
+    const { skippedOrders } = result;
+    res.setHeader('X-Skipped-Orders-Count', skippedOrders.length);
+    if (skippedOrders.length > 0) {
+      res.setHeader('X-Skipped-Orders', skippedOrders
+        .slice(0, SKIPPED_ORDERS_HEADER_LIMIT)
+        .map(order => `${encodeURIComponent(order.name)} (${order.reason})`)
+        .join(', '));
+    }
+    // Orders with validation errors, and with only warnings
+    res.setHeader('X-Validation-Errors', result.validation.ordersWithErrors);
+    res.setHeader('X-Validation-Warnings', result.validation.ordersWithWarnings);
+    // Where the file can be downloaded again, and what it should hash to
+    res.setHeader('X-Export-Id', result.historyId);
+    res.setHeader('X-Export-Checksum', `sha256=${result.checksum}`);
+    res.setHeader('X-Previously-Exported-Count', result.previouslyExportedCount);
+    // The tagging report, and how many orders could not be tagged
+    if (result.tagging) {
+      res.setHeader('X-Tag-Report-Id', result.tagging.reportId);
+      res.setHeader('X-Tag-Failures', result.tagging.summary.failed);
+    }
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     
-    // Generate Excel file
-    const buffer = await workbook.xlsx.writeBuffer();
+    const stream = fs.createReadStream(filePath);
+    stream.on('close', () => exportJobs.removeFile(filePath));
+    stream.pipe(res);
+  } catch (error) {
+    exportJobs.removeFile(filePath);
+    console.error(`${format === 'xlsx' ? 'Excel export' : 'Export'} error:`, error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+// Export orders endpoint
+app.post('/export-orders', auth.requireRole('exporter'), (req, res) => sendExport(req, res, 'csv'));
+
+// Export orders to Excel endpoint
+app.post('/export-orders-excel', auth.requireRole('exporter'), (req, res) => sendExport(req, res, 'xlsx'));
+
+// Background export jobs: create one, poll its progress, then download it
+app.post('/api/export-jobs', auth.requireRole('exporter'), (req, res) => {
+  const format = req.body?.format || 'csv';
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'Format must be "csv" or "xlsx"' });
+  }
+  
+  let options;
+  try {
+    options = parseExportRequest(req.body);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+  
+  const params = describeExportOptions(options);
+  const fileName = `orders_export_${params.store}_${timezone.formatTimestamp(new Date(), 'YYYY-MM-DD_HHmm')}.${format}`;
+  const user = req.user.username;
+  const job = exportJobs.startJob({
+    format,
+    params,
+    fileName,
+    createdBy: req.user.id,
+    run: async job => {
+      const exported = await runExport(format, options, job.filePath, {
+        progress: job.progress,
+        isCancelled: () => job.cancelled
+      });
+      // A file nobody fetched went nowhere, so it is only recorded (and its
+      // orders tagged) when it is first downloaded
+      let recorded = null;
+      job.recordDownload = () => {
+        recorded ||= recordJobExport(job, format, options, exported, { user, fileName })
+          .catch(error => {
+            recorded = null;
+            throw error;
+          });
+        return recorded;
+      };
+      const { exportedOrders, ...result } = exported;
+      return result;
+    }
+  });
+  
+  res.status(202).json({ success: true, job: exportJobs.describeJob(job) });
+});
+
+// Record a downloaded job's file in the export history and add the history
+// id and checksum to its result. With tagOrders the orders are tagged after
+// that, in the background, with the progress and report on the job as well.
+async function recordJobExport(job, format, options, exported, { user, fileName }) {
+  const finished = await finishExport(format, { ...options, tagOrders: false }, job.filePath, exported, {
+    source: 'job',
+    user,
+    fileName
+  });
+  Object.assign(job.result, { historyId: finished.historyId, checksum: finished.checksum });
+  if (options.tagOrders) {
+    job.progress.ordersTagged = 0;
+    tagExportedOrders(exported.exportedOrders, {
+      dryRun: options.dryRun,
+      user,
+      historyId: finished.historyId,
+      onProgress: count => {
+        job.progress.ordersTagged = count;
+      }
+    })
+      .then(tagging => {
+        job.result.tagging = tagging;
+      })
+      .catch(error => {
+        console.error(`Tagging the orders of export job ${job.id} failed:`, error.message);
+        job.result.taggingError = error.message;
+      });
+  }
+}
+
+// Export jobs are only visible to whoever started them (and admins)
+function getOwnExportJob(req) {
+  const job = exportJobs.getJob(req.params.id);
+  return job && (job.createdBy === req.user.id || auth.hasRole(req.user, 'admin')) ? job : null;
+}
+
+app.get('/api/export-jobs/:id', auth.requireRole('exporter'), (req, res) => {
+  const job = getOwnExportJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Export job not found' });
+  }
+  res.json({ success: true, job: exportJobs.describeJob(job) });
+});
+
+app.get('/api/export-jobs/:id/download', auth.requireRole('exporter'), async (req, res) => {
+  const job = getOwnExportJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Export job not found' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ success: false, error: `Export job is ${job.status}` });
+  }
+  try {
+    await job.recordDownload();
+  } catch (error) {
+    console.error(`Recording export job ${job.id} failed:`, error);
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+  accessLog.record('export', req, { format: job.format, jobId: job.id, ...job.params, ...describeExportResult(job.result) });
+  res.download(job.filePath, job.fileName);
+});
+
+// Cancel a running job, or delete a finished one and its file
+app.delete('/api/export-jobs/:id', auth.requireRole('exporter'), (req, res) => {
+  if (!getOwnExportJob(req) || !exportJobs.cancelJob(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Export job not found' });
+  }
+  res.json({ success: true });
+});
+
+// Packing slips and courier manifests print at most this many orders at once
+const PRINT_MAX_ORDERS = parseInt(process.env.PRINT_MAX_ORDERS || '500', 10);
+
+// Orders to print: the orderIds picked on the dashboard, or every order
+// created from startDate to endDate. Oldest first, with their refunds.
+async function loadPrintEntries(store, body) {
+  const { orderIds, startDate, endDate, status } = body || {};
+  
+  let orders;
+  let range;
+  if (Array.isArray(orderIds) && orderIds.length > 0) {
+    orders = orderIds.map(id => store.orders.getOrder(id));
+    const missing = orderIds.filter((id, index) => !orders[index]);
+    if (missing.length > 0) {
+      const error = new Error(`Unknown orders: ${missing.join(', ')}`);
+      error.status = 404;
+      throw error;
+    }
+  } else if (startDate && endDate) {
+    orders = await loadOrders(store, {
+      createdAtMin: timezone.startOfDay(startDate, store.timezone),
+      createdAtMax: timezone.endOfDay(endDate, store.timezone),
+      status
+    });
+    range = `${startDate} to ${endDate}`;
+  } else {
+    const error = new Error('Select orders or a date range to print');
+    error.status = 400;
+    throw error;
+  }
+  
+  if (orders.length === 0) {
+    const error = new Error('No orders found');
+    error.status = 404;
+    throw error;
+  }
+  if (orders.length > PRINT_MAX_ORDERS) {
+    const error = new Error(`${orders.length} orders is more than can be printed at once (${PRINT_MAX_ORDERS}); narrow the date range`);
+    error.status = 400;
+    throw error;
+  }
+  
+  orders.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const entries = [];
+  for (const order of orders) {
+    entries.push({ order, refundSummary: summarizeRefunds(await loadOrderRefunds(store, order)) });
+  }
+  return { entries, range };
+}
+
+// Build a PDF from the requested orders and send it to open in the browser
+async function sendPrintDocument(req, res, document, create) {
+  try {
+    const store = stores.resolveStore(req.body?.store);
+    const { entries, range } = await stores.useStores([store], () => loadPrintEntries(store, req.body));
+    const doc = create(entries, { store, range });
+    accessLog.record('export', req, {
+      format: 'pdf',
+      document,
+      store: store.id,
+      startDate: range ? req.body.startDate : undefined,
+      endDate: range ? req.body.endDate : undefined,
+      orderCount: entries.length
+    });
     
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename="orders_export.xlsx"');
-    res.send(buffer);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${document}_${store.id}_${timezone.formatTimestamp(new Date(), 'YYYY-MM-DD_HHmm')}.pdf"`);
+    doc.pipe(res);
+  } catch (error) {
+    console.error(`Print ${document} error:`, error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+}
+
+// One A5 packing slip per order
+app.post('/api/print/packing-slips', auth.requireRole('exporter'), (req, res) =>
+  sendPrintDocument(req, res, 'packing_slips', printDocuments.createPackingSlips));
+
+// Courier handover sheet per carrier; carrier limits it to one carrier code
+app.post('/api/print/manifest', auth.requireRole('exporter'), (req, res) =>
+  sendPrintDocument(req, res, 'manifest', (entries, options) =>
+    printDocuments.createManifest(entries, { ...options, carrier: req.body?.carrier || undefined })));
+
+// Shopify client request, retry and wait-time counters since startup
+app.get('/api/shopify/metrics', (req, res) => {
+  try {
+    const store = stores.resolveStore(req.query.store);
+    res.json({ success: true, store: store.id, metrics: store.shopify.getMetrics() });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Local order store sync status
+app.get('/api/sync/status', (req, res) => {
+  let store;
+  try {
+    store = stores.resolveStore(req.query.store);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+  const orderStore = store.orders;
+  res.json({
+    success: true,
+    store: store.id,
+    running: runningSyncs.has(store.id),
+    backfillComplete: Boolean(orderStore.getState('backfill_complete')),
+    lastSyncedAt: orderStore.getState('last_synced_at'),
+    lastSyncStartedAt: orderStore.getState('last_sync_started_at'),
+    lastSyncCount: orderStore.getState('last_sync_count') || 0,
+    lastSyncError: orderStore.getState('last_sync_error'),
+    updatedAtWatermark: orderStore.getState('updated_at_watermark'),
+    storedOrderCount: orderStore.countOrders()
+  });
+});
+
+// Trigger a sync of one store; { "full": true } re-runs the backfill from scratch
+app.post('/api/sync', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const store = stores.resolveStore(req.body?.store || req.query.store);
+    const syncedCount = await syncOrders(store, { full: req.body?.full === true });
+    res.json({ success: true, store: store.id, syncedCount, storedOrderCount: store.orders.countOrders() });
+  } catch (error) {
+    console.error('Order sync error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Apply a verified webhook to the store's orders and tell connected dashboards
+function handleWebhook(store, topic, payload) {
+  const orderStore = store.orders;
+  if (topic === 'refunds/create') {
+    const order = orderStore.getOrder(payload.order_id);
+    if (!order) {
+      console.log(`Webhook ${topic} [${store.id}] - order ${payload.order_id} is not stored yet, skipping`);
+      return;
+    }
+    const updated = webhooks.applyRefund(order, payload);
+    orderStore.upsertOrders([updated]);
+    liveUpdates.broadcast('order', { store: store.id, topic, isNew: false, order: orderQuery.projectOrder(updated, store) });
+    return;
+  }
+  
+  // Deliveries can arrive out of order; never replace newer stored data
+  const stored = orderStore.getOrder(payload.id);
+  if (stored && new Date(stored.updated_at) > new Date(payload.updated_at)) {
+    console.log(`Webhook ${topic} [${store.id}] - order ${payload.name} is older than the stored copy, skipping`);
+    return;
+  }
+  orderStore.upsertOrders([payload]);
+  liveUpdates.broadcast('order', {
+    store: store.id,
+    topic,
+    isNew: topic === 'orders/create' && !stored,
+    order: orderQuery.projectOrder(payload, store)
+  });
+}
+
+// Shopify webhooks, delivered to /webhooks/<topic>. X-Shopify-Shop-Domain
+// says which store a delivery is for.
+app.post('/webhooks/:resource/:event', (req, res) => {
+  const topic = `${req.params.resource}/${req.params.event}`;
+  if (!webhooks.TOPICS.includes(topic)) {
+    return res.status(404).json({ success: false, error: `Unsupported webhook topic "${topic}"` });
+  }
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+  const store = shopDomain ? stores.findStoreByDomain(shopDomain) : stores.getDefaultStore();
+  if (!store) {
+    console.warn(`Webhook ${topic} - unknown shop ${shopDomain}`);
+    return res.status(404).json({ success: false, error: `Unknown shop "${shopDomain || ''}"` });
+  }
+  if (!store.webhookSecret) {
+    console.error(`Webhook received for ${store.id} but it has no webhook secret (SHOPIFY_WEBHOOK_SECRET)`);
+    return res.status(503).json({ success: false, error: 'Webhooks are not configured' });
+  }
+  if (!webhooks.verifyHmac(req.body, req.get('X-Shopify-Hmac-Sha256'), store.webhookSecret)) {
+    console.warn(`Webhook ${topic} [${store.id}] - HMAC verification failed`);
+    return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+  }
+  
+  // Shopify retries until it gets a 2xx, so the same delivery can arrive twice
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  if (webhookId && !store.orders.recordWebhookEvent(webhookId, topic)) {
+    console.log(`Webhook ${topic} [${store.id}] - duplicate delivery ${webhookId}, ignoring`);
+    return res.json({ success: true, duplicate: true });
+  }
+  
+  try {
+    handleWebhook(store, topic, JSON.parse(req.body.toString('utf8')));
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Webhook ${topic} [${store.id}] error:`, error);
+    if (webhookId) {
+      store.orders.forgetWebhookEvent(webhookId);
+    }
+    res.status(error instanceof SyntaxError ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Live order events for the dashboard (Server-Sent Events)
+app.get('/api/events', (req, res) => {
+  liveUpdates.subscribe(req, res);
+});
+
+// Store registry. Credentials are never returned; the store from the
+// environment variables is listed but can't be changed here.
+app.get('/api/stores', (req, res) => {
+  const defaultStore = stores.getDefaultStore();
+  res.json({
+    success: true,
+    defaultStore: defaultStore?.id || null,
+    stores: stores.listStores().map(stores.describeStore)
+  });
+});
+
+// Read a new or changed store's timezone and currency, then sync its orders
+function startStore(store) {
+  stores.loadShopDetails(store)
+    .catch(error => console.error(`Could not read shop details of ${store.id}:`, error.message))
+    .finally(() => syncOrders(store).catch(error => console.error(`Initial order sync of ${store.id} failed:`, error.message)));
+}
+
+app.post('/api/stores', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = stores.createStore(req.body || {});
+    startStore(store);
+    res.status(201).json({ success: true, store: stores.describeStore(store) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/stores/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    await stopOrderSync(req.params.id);
+    const store = stores.updateStore(req.params.id, req.body || {});
+    if (!store) {
+      return res.status(404).json({ success: false, error: 'Store not found' });
+    }
+    startStore(store);
+    res.json({ success: true, store: stores.describeStore(store) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/stores/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    await stopOrderSync(req.params.id);
+    if (!stores.deleteStore(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Store not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Export profiles: the field catalog and named column layouts
+app.get('/api/export-profiles/fields', (req, res) => {
+  res.json({ success: true, fields: exportProfiles.listFields() });
+});
+
+app.get('/api/export-profiles', (req, res) => {
+  res.json({ success: true, defaultProfile: exportProfiles.DEFAULT_PROFILE_NAME, profiles: exportProfiles.listProfiles() });
+});
+
+app.get('/api/export-profiles/:name', (req, res) => {
+  const profile = exportProfiles.getProfile(req.params.name);
+  if (!profile) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  res.json({ success: true, profile });
+});
+
+// Create or replace a profile
+app.put('/api/export-profiles/:name', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json({ success: true, profile: exportProfiles.saveProfile(req.params.name, req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/export-profiles/:name', auth.requireRole('admin'), (req, res) => {
+  if (!exportProfiles.deleteProfile(req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  res.json({ success: true });
+});
+
+// Lines listing the orders an export left out, for the email body
+function describeSkippedOrders(skippedOrders) {
+  if (skippedOrders.length === 0) {
+    return '';
+  }
+  return `\n\n${skippedOrders.length} orders were left out:\n`
+    + skippedOrders.map(order => `${order.name} - ${order.reason}`).join('\n');
+}
+
+// Validation counts and the orders with errors, for the email body
+function describeValidationIssues(checks) {
+  if (checks.ordersWithErrors === 0 && checks.ordersWithWarnings === 0) {
+    return '';
+  }
+  const withErrors = checks.orders
+    .map(order => ({ name: order.name, errors: order.issues.filter(found => found.severity === 'error') }))
+    .filter(order => order.errors.length > 0);
+  return `\n\nValidation found ${checks.ordersWithErrors} orders with errors and ${checks.ordersWithWarnings} with warnings only`
+    + (withErrors.length > 0 ? ':\n' : '.')
+    + withErrors.map(order => `${order.name} - ${order.errors.map(found => found.message).join('; ')}`).join('\n');
+}
+
+// Run one scheduled export through the same pipeline as the export
+// endpoints, then email the file or copy it into the drop folder
+async function runScheduledExport(schedule, run) {
+  const options = parseExportRequest({
+    store: schedule.store,
+    startDate: run.startDate,
+    endDate: run.endDate,
+    status: schedule.status,
+    profile: schedule.profile,
+    mode: schedule.mode,
+    excludeRefundedItems: schedule.excludeRefundedItems,
+    onlyNew: schedule.onlyNew,
+    destination: schedule.destination,
+    tagOrders: schedule.tagOrders
+  });
+  const fileName = `${schedule.name.replace(/[^a-z0-9_-]+/gi, '_')}_${run.startDate}_${run.endDate}.${schedule.format}`;
+  const filePath = exportJobs.createTempFile(schedule.format);
+  
+  try {
+    let exported;
+    try {
+      exported = await runExport(schedule.format, options, filePath);
+    } catch (error) {
+      // Nothing to deliver for a range without orders
+      if (error.status === 404) {
+        return { status: 'empty', orderCount: 0, rowCount: 0, skippedOrders: [] };
+      }
+      throw error;
+    }
+    
+    let deliveredTo;
+    if (schedule.delivery.type === 'email') {
+      await delivery.sendEmail({
+        to: schedule.delivery.to,
+        subject: `${schedule.name}: orders ${run.startDate} to ${run.endDate}`,
+        text: `${exported.orderCount} orders (${exported.rowCount} rows) created ${run.startDate} to ${run.endDate} are attached.`
+          + (exported.previouslyExportedCount > 0 ? ` ${exported.previouslyExportedCount} orders exported before were left out.` : '')
+          + describeSkippedOrders(exported.skippedOrders)
+          + describeValidationIssues(exported.validation),
+        attachments: [{ filename: fileName, path: filePath }]
+      });
+      deliveredTo = schedule.delivery.to.join(', ');
+    } else {
+      deliveredTo = await delivery.writeToFolder(filePath, schedule.delivery.folder, fileName);
+    }
+    const deliveredAt = new Date().toISOString();
+    
+    // Only files that went out are recorded and tagged. A failure from here
+    // on leaves the run delivered, so that it isn't simply run and sent again.
+    let result;
+    try {
+      result = await finishExport(schedule.format, options, filePath, exported, {
+        source: 'schedule',
+        user: null,
+        fileName,
+        scheduleName: schedule.name
+      });
+    } catch (error) {
+      console.error(`Scheduled export "${schedule.name}" - delivered to ${deliveredTo}, then failed:`, error.message);
+      const { exportedOrders, ...counts } = exported;
+      return {
+        status: 'delivered',
+        ...counts,
+        validation: describeValidation(counts.validation),
+        fileName,
+        deliveredTo,
+        deliveredAt,
+        error: `The file was delivered, but recording it in the export history or tagging its orders failed: ${error.message}`
+      };
+    }
+    console.log(`Scheduled export "${schedule.name}" - ${result.orderCount} orders delivered to ${deliveredTo}`);
+    return { status: 'success', ...result, validation: describeValidation(result.validation), fileName, deliveredTo, deliveredAt };
+  } finally {
+    exportJobs.removeFile(filePath);
+  }
+}
+
+// Schedules run on the days of their store; those across all stores (and
+// those of a store that is gone) on the default store's
+function getScheduleTimezone(schedule) {
+  const store = schedule.store && schedule.store !== 'all' ? stores.getStore(schedule.store) : null;
+  return (store || stores.getDefaultStore())?.timezone;
+}
+
+// Email SCHEDULE_NOTIFY_EMAIL when a scheduled export fails
+async function notifyScheduleFailure(schedule, run) {
+  if (!process.env.SCHEDULE_NOTIFY_EMAIL || !delivery.isEmailConfigured()) {
+    return;
+  }
+  await delivery.sendEmail({
+    to: process.env.SCHEDULE_NOTIFY_EMAIL,
+    subject: `Scheduled export "${schedule.name}" ${run.status === 'delivered' ? 'was delivered but did not finish' : 'failed'}`,
+    text: `The ${run.trigger} run for ${run.startDate} to ${run.endDate} ${run.status === 'delivered' ? 'delivered its file but did not finish' : 'failed'} at ${run.finishedAt}:\n\n${run.error}`
+  });
+}
+
+const scheduleValidation = {
+  validateFolder: folder => delivery.resolveDropFolder(folder),
+  validateProfile: name => {
+    if (!exportProfiles.getProfile(name)) {
+      throw new Error(`Unknown export profile "${name}"`);
+    }
+  },
+  validateStore: id => {
+    if (id !== 'all' && !stores.getStore(id)) {
+      throw new Error(`Unknown store "${id}"`);
+    }
+  }
+};
+
+app.get('/api/export-schedules', (req, res) => {
+  res.json({
+    success: true,
+    ranges: exportSchedules.RANGES,
+    emailConfigured: delivery.isEmailConfigured(),
+    schedules: exportSchedules.listSchedules()
+  });
+});
+
+app.post('/api/export-schedules', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json({ success: true, schedule: exportSchedules.createSchedule(req.body, scheduleValidation) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Run history, newest first; filter with schedule_id and status
+app.get('/api/export-schedules/runs', (req, res) => {
+  const { schedule_id, status, limit } = req.query;
+  res.json({
+    success: true,
+    runs: exportSchedules.listRuns({ scheduleId: schedule_id, status, limit: Math.min(parseInt(limit, 10) || 50, 200) })
+  });
+});
+
+app.put('/api/export-schedules/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const schedule = exportSchedules.updateSchedule(req.params.id, req.body, scheduleValidation);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/export-schedules/:id', auth.requireRole('admin'), (req, res) => {
+  if (!exportSchedules.deleteSchedule(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  res.json({ success: true });
+});
+
+// Run a schedule now in the background; the outcome shows up in the history
+app.post('/api/export-schedules/:id/run', auth.requireRole('exporter'), (req, res) => {
+  const schedule = exportSchedules.getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  exportSchedules.runSchedule(schedule, 'manual');
+  res.status(202).json({ success: true });
+});
+
+// Recorded exports, newest first (store, destination, limit)
+app.get('/api/export-history', auth.requireRole('exporter'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  res.json({
+    success: true,
+    retentionDays: exportHistory.RETENTION_DAYS,
+    exports: exportHistory.listExports({ store: req.query.store, destination: req.query.destination, limit })
+  });
+});
+
+// One recorded export with the orders in its file
+app.get('/api/export-history/:id', auth.requireRole('exporter'), (req, res) => {
+  const entry = exportHistory.getExport(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+  res.json({ success: true, export: entry });
+});
+
+// The exact file that went out, while it is kept
+app.get('/api/export-history/:id/download', auth.requireRole('exporter'), (req, res) => {
+  const entry = exportHistory.getExport(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+  const filePath = exportHistory.getExportFile(entry);
+  if (!filePath) {
+    return res.status(410).json({ success: false, error: `The file was deleted after ${exportHistory.RETENTION_DAYS} days` });
+  }
+  accessLog.record('export', req, { format: entry.format, redownload: entry.id, fileName: entry.fileName, orderCount: entry.orderCount });
+  res.download(filePath, entry.fileName);
+});
+
+// Tag the orders of a recorded export in Shopify, as tagOrders does right
+// after an export; dryRun only reports what would be tagged
+app.post('/api/export-history/:id/tag', auth.requireRole('exporter'), async (req, res) => {
+  const entry = exportHistory.getExport(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+  try {
+    const tagging = await tagExportedOrders(entry.orders, {
+      dryRun: req.body?.dryRun === true,
+      user: req.user.username,
+      historyId: entry.id
+    });
+    res.json({ success: true, tagging });
+  } catch (error) {
+    console.error('Tagging error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Upload a courier AWB file (CSV or XLSX as the raw request body) and create
+// a Shopify fulfillment with its tracking number for every order in it.
+// Query params: store, carrier (for lines without a carrier column), notify
+// ("false" to not email customers), dry_run, file_name, and order_column,
+// tracking_column and carrier_column when the file's titles differ.
+app.post('/api/write-back/fulfillments', auth.requireRole('exporter'), express.raw({ type: () => true, limit: '20mb' }), async (req, res) => {
+  try {
+    const { carrier = '', notify, dry_run, file_name, order_column, tracking_column, carrier_column } = req.query;
+    const store = stores.resolveStore(req.query.store);
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, error: 'Upload an AWB CSV or XLSX file' });
+    }
+    
+    const lines = await writeBack.parseAwbFile(req.body, {
+      orderNumberColumn: order_column || undefined,
+      trackingNumberColumn: tracking_column || undefined,
+      carrierColumn: carrier_column || undefined
+    });
+    if (lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'No AWB lines found in the file' });
+    }
+    const dryRun = dry_run === 'true';
+    const notifyCustomer = notify !== 'false';
+    console.log(`Fulfillments - ${lines.length} lines in ${file_name || 'upload'}${dryRun ? ' (dry run)' : ''}`);
+    
+    const report = await stores.useStores([store], async () => {
+      await refreshOrderStore(store);
+      const ordersByName = new Map();
+      for (const order of findOrdersByNumber(store, lines.map(line => line.orderNumber))) {
+        ordersByName.set(settlements.normalizeOrderNumber(order.name), order);
+      }
+      
+      return writeBack.saveReport({
+        type: 'fulfillment',
+        user: req.user.username,
+        store: store.id,
+        storeName: store.name,
+        fileName: file_name || 'awb',
+        carrier: carrier.toString().trim() || undefined,
+        notifyCustomer,
+        dryRun,
+        results: await writeBack.createFulfillments(store, lines, ordersByName, {
+          carrier: carrier.toString().trim(),
+          notifyCustomer,
+          dryRun
+        })
+      });
+    });
+    console.log('Fulfillments -', report.summary);
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Fulfillment upload error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Tagging and fulfillment reports, newest first (type)
+app.get('/api/write-back', auth.requireRole('exporter'), (req, res) => {
+  const { type } = req.query;
+  res.json({ success: true, reports: writeBack.listReports().filter(report => !type || report.type === type) });
+});
+
+app.get('/api/write-back/:id', auth.requireRole('exporter'), (req, res) => {
+  const report = writeBack.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ success: false, error: 'Report not found' });
+  }
+  res.json({ success: true, report });
+});
+
+// COD settlement reconciliation. Column mappings say where each courier
+// puts the order number, collected amount and fees in its payout sheet.
+app.get('/api/settlements/mappings', (req, res) => {
+  res.json({ success: true, defaultMapping: settlements.DEFAULT_MAPPING_NAME, mappings: settlements.listMappings() });
+});
+
+app.put('/api/settlements/mappings/:name', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json({ success: true, mapping: settlements.saveMapping(req.params.name, req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/settlements/mappings/:name', auth.requireRole('admin'), (req, res) => {
+  if (!settlements.deleteMapping(req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Mapping not found' });
+  }
+  res.json({ success: true });
+});
+
+// A store's orders named in a courier sheet, looked up by name as written in
+// the sheet, with and without "#"
+function findOrdersByNumber(store, orderNumbers) {
+  const names = new Set();
+  for (const orderNumber of orderNumbers) {
+    const number = orderNumber.replace(/^#/, '').trim();
+    names.add(orderNumber.trim());
+    names.add(number);
+    names.add(`#${number}`);
+  }
+  return store.orders.getOrdersByName([...names]);
+}
+
+// Upload a courier settlement sheet (CSV or XLSX as the raw request body) and
+// reconcile it. start_date/end_date set the period whose delivered COD orders
+// should have been settled; without them it spans the orders in the sheet.
+app.post('/api/settlements', auth.requireRole('exporter'), express.raw({ type: () => true, limit: '20mb' }), async (req, res) => {
+  try {
+    const { mapping: mappingName, start_date, end_date, file_name } = req.query;
+    const store = stores.resolveStore(req.query.store);
     
+    const mapping = settlements.getMapping(mappingName);
+    if (!mapping) {
+      return res.status(400).json({ success: false, error: `Unknown column mapping "${mappingName}"` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, error: 'Upload a settlement CSV or XLSX file' });
+    }
+    
+    const lines = await settlements.parseSettlement(req.body, mapping);
+    if (lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'No settlement lines found in the file' });
+    }
+    console.log(`Settlement - ${lines.length} lines in ${file_name || 'upload'} (mapping ${mapping.name})`);
+    
+    await refreshOrderStore(store);
+    const sheetOrders = findOrdersByNumber(store, lines.map(line => line.orderNumber));
+    
+    let startDate = start_date;
+    let endDate = end_date;
+    if (!startDate && !endDate && sheetOrders.length > 0) {
+      const created = sheetOrders.map(order => order.created_at).sort((a, b) => new Date(a) - new Date(b));
+      startDate = timezone.formatTimestamp(created[0], 'YYYY-MM-DD', store.timezone);
+      endDate = timezone.formatTimestamp(created[created.length - 1], 'YYYY-MM-DD', store.timezone);
+    }
+    const rangeOrders = startDate || endDate
+      ? await loadOrders(store, {
+        createdAtMin: timezone.startOfDay(startDate, store.timezone),
+        createdAtMax: timezone.endOfDay(endDate, store.timezone)
+      })
+      : [];
+    
+    const ordersByName = new Map();
+    for (const order of [...rangeOrders, ...sheetOrders]) {
+      ordersByName.set(settlements.normalizeOrderNumber(order.name), order);
+    }
+    
+    const report = settlements.saveReport({
+      fileName: file_name || 'settlement',
+      mapping: mapping.name,
+      store: store.id,
+      storeName: store.name,
+      startDate: startDate || null,
+      endDate: endDate || null,
+      ...settlements.reconcile(lines, ordersByName, rangeOrders, { timezone: store.timezone })
+    });
+    console.log('Settlement - Reconciled:', report.summary);
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Settlement error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/settlements', auth.requireRole('exporter'), (req, res) => {
+  res.json({ success: true, reports: settlements.listReports() });
+});
+
+app.get('/api/settlements/:id', auth.requireRole('exporter'), (req, res) => {
+  const report = settlements.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ success: false, error: 'Report not found' });
+  }
+  res.json({ success: true, report });
+});
+
+app.get('/api/settlements/:id/export', auth.requireRole('exporter'), async (req, res) => {
+  const report = settlements.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  try {
+    const workbook = await settlements.buildReportWorkbook(report);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="settlement_reconciliation_${report.id}.xlsx"`);
+    accessLog.record('export', req, { format: 'xlsx', settlementReport: report.id, fileName: report.fileName });
+    res.send(Buffer.from(workbook));
   } catch (error) {
-    console.error('Excel export error:', error);
+    console.error('Settlement export error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+app.delete('/api/settlements/:id', auth.requireRole('exporter'), (req, res) => {
+  if (!settlements.deleteReport(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Report not found' });
+  }
+  res.json({ success: true });
+});
+
+// City and carrier code mapping tables
+app.get('/api/mappings', (req, res) => {
+  res.json({
+    success: true,
+    cities: mappings.listEntries('cities'),
+    carriers: mappings.listEntries('carriers'),
+    defaultCarrierCode: mappings.getDefaultCarrierCode()
+  });
+});
+
+app.put('/api/mappings/default-carrier', auth.requireRole('admin'), (req, res) => {
+  mappings.setDefaultCarrierCode(req.body.code);
+  res.json({ success: true, defaultCarrierCode: mappings.getDefaultCarrierCode() });
+});
+
+// Report the cities of orders in a date range that no mapping resolves
+app.get('/api/mappings/unmapped-cities', async (req, res) => {
+  try {
+    const { created_at_min, created_at_max } = req.query;
+    const store = stores.resolveStore(req.query.store);
+    
+    const orders = await loadOrders(store, {
+      createdAtMin: timezone.startOfDay(created_at_min, store.timezone),
+      createdAtMax: timezone.endOfDay(created_at_max, store.timezone)
+    });
+    const unmapped = mappings.findUnmappedCities(orders);
+    
+    res.json({
+      success: true,
+      orderCount: orders.length,
+      unmappedOrderCount: unmapped.reduce((sum, city) => sum + city.count, 0),
+      cities: unmapped
+    });
+  } catch (error) {
+    console.error('Unmapped cities error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+for (const table of ['cities', 'carriers']) {
+  app.get(`/api/mappings/${table}`, (req, res) => {
+    res.json({ success: true, [table]: mappings.listEntries(table) });
+  });
+  
+  app.post(`/api/mappings/${table}`, auth.requireRole('admin'), (req, res) => {
+    try {
+      res.status(201).json({ success: true, entry: mappings.addEntry(table, req.body) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+  
+  app.put(`/api/mappings/${table}/:id`, auth.requireRole('admin'), (req, res) => {
+    try {
+      const entry = mappings.updateEntry(table, req.params.id, req.body);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: 'Mapping not found' });
+      }
+      res.json({ success: true, entry });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+  
+  app.delete(`/api/mappings/${table}/:id`, auth.requireRole('admin'), (req, res) => {
+    if (!mappings.removeEntry(table, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Mapping not found' });
+    }
+    res.json({ success: true });
+  });
+}
+
 // Get available order statuses
 app.get('/order-statuses', async (req, res) => {
   try {
@@ -546,4 +2117,31 @@ app.get('/order-statuses', async (req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  
+  auth.ensureAdmin({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD })
+    .catch(error => console.error('Could not create the admin user:', error.message));
+  
+  // Schedules run in the default store's timezone, so they start once the
+  // shops' timezones are known
+  Promise.all(stores.listStores().map(store => stores.loadShopDetails(store)
+    .then(() => console.log(`Store ${store.id}: timezone ${store.timezone}, currency ${store.currency || 'unknown'}`))
+    .catch(error => console.error(`Could not read shop details of ${store.id}, using ${store.timezone}:`, error.message))))
+    .then(() => timezone.setTimezone(stores.getDefaultStore()?.timezone))
+    .finally(() => exportSchedules.start(runScheduledExport, { notifyFailure: notifyScheduleFailure, getTimezone: getScheduleTimezone }));
+  
+  // Delivery ids are only needed while Shopify might still retry them
+  const pruneWebhookEvents = () => {
+    const before = moment().subtract(3, 'days').toISOString();
+    for (const store of stores.listStores()) {
+      store.orders.pruneWebhookEvents(before);
+    }
+  };
+  pruneWebhookEvents();
+  setInterval(pruneWebhookEvents, 6 * 60 * 60 * 1000).unref();
+  
+  // Backfill (or catch up) each store's orders, then keep them current
+  syncAllStores('Initial order sync');
+  if (ORDER_SYNC_INTERVAL_MINUTES > 0) {
+    setInterval(() => syncAllStores('Scheduled order sync'), ORDER_SYNC_INTERVAL_MINUTES * 60 * 1000);
+  }
 });
@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSessionToken } = require('../lib/auth');
+
+test('session cookies are read next to malformed cookies', () => {
+  const cookie = 'theme=%E0%A4%A; nut_session=abc%20def; other=1';
+  assert.strictEqual(getSessionToken({ headers: { cookie } }), 'abc def');
+  assert.strictEqual(getSessionToken({ headers: { cookie: 'nut_session=%E0%A4%A' } }), null);
+  assert.strictEqual(getSessionToken({ headers: {} }), null);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Custom profiles are kept under DATA_DIR, read when the module loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+process.env.DATA_DIR = dataDir;
+const exportProfiles = require('../lib/exportProfiles');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('names of Object.prototype members are not profiles', () => {
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.strictEqual(exportProfiles.getProfile(name), null, name);
+    assert.strictEqual(exportProfiles.deleteProfile(name), false, name);
+    assert.throws(() => exportProfiles.saveProfile(name, { columns: [{ field: 'order_number' }] }), /profile name/i);
+  }
+  assert.deepStrictEqual(exportProfiles.listProfiles().map(profile => profile.name), ['woocommerce', 'breakdown']);
+});
+
+test('columns are checked before a profile is saved', () => {
+  const save = columns => () => exportProfiles.saveProfile('courier', { columns });
+  assert.throws(save([{ field: 'order_number' }, null]), /^Error: Column 2: must be an object/);
+  assert.throws(save(['order_number']), /^Error: Column 1: must be an object/);
+  assert.throws(save([{ template: 42, title: 'Number' }]), /^Error: Column 1: template must be text/);
+  assert.throws(save([{ template: ['{order_number}'], title: 'Number' }]), /^Error: Column 1: template must be text/);
+  assert.throws(save([{ field: 'constructor' }]), /^Error: Column 1: unknown field "constructor"/);
+  assert.throws(save([{ template: '{toString}', title: 'Name' }]), /^Error: Column 1: unknown field "toString" in template/);
+
+  const profile = exportProfiles.saveProfile('courier', { columns: [{ template: 'Order {order_number}', title: 'Ref' }, { constant: 'EG', title: 'Country' }] });
+  assert.strictEqual(exportProfiles.getProfile('courier'), profile);
+  assert.deepStrictEqual(exportProfiles.buildRow(profile, { order: { name: '#1001', order_number: 1001 }, lineItems: [] }), ['Order 1001', 'EG']);
+  assert.strictEqual(exportProfiles.deleteProfile('courier'), true);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Schedules and runs are kept under DATA_DIR, read when the module loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+process.env.DATA_DIR = dataDir;
+const exportSchedules = require('../lib/exportSchedules');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// 2024-05-01 22:30 UTC is already May 2nd in Cairo but still May 1st in New York
+const NOW = new Date('2024-05-01T22:30:00Z');
+
+test('range rules pick their days in the given timezone', () => {
+  assert.deepStrictEqual(exportSchedules.resolveRange('yesterday', 'Africa/Cairo', NOW), { startDate: '2024-05-01', endDate: '2024-05-01' });
+  assert.deepStrictEqual(exportSchedules.resolveRange('yesterday', 'America/New_York', NOW), { startDate: '2024-04-30', endDate: '2024-04-30' });
+  assert.deepStrictEqual(exportSchedules.resolveRange('month_to_date', 'Africa/Cairo', NOW), { startDate: '2024-05-01', endDate: '2024-05-02' });
+});
+
+test('a run uses its store timezone and a delivered run that did not finish is reported', async () => {
+  const notified = [];
+  exportSchedules.start(async (schedule, run) => ({
+    status: 'delivered',
+    orderCount: 2,
+    deliveredTo: 'ops@example.com',
+    error: `recording failed for ${run.timezone}`
+  }), {
+    notifyFailure: async (schedule, run) => notified.push(run.id),
+    getTimezone: schedule => (schedule.store === 'cairo' ? 'Africa/Cairo' : null)
+  });
+  const schedule = exportSchedules.createSchedule({
+    name: 'Daily',
+    cron: '0 6 * * *',
+    store: 'cairo',
+    delivery: { type: 'email', to: 'ops@example.com' },
+    enabled: false
+  });
+
+  const run = await exportSchedules.runSchedule(schedule);
+  assert.strictEqual(run.timezone, 'Africa/Cairo');
+  assert.strictEqual(run.status, 'delivered');
+  assert.strictEqual(run.deliveredTo, 'ops@example.com');
+  assert.strictEqual(run.error, 'recording failed for Africa/Cairo');
+  assert.deepStrictEqual(notified, [run.id]);
+  assert.strictEqual(schedule.lastRun.status, 'delivered');
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Bulk operations are polled right away
+process.env.SHOPIFY_BULK_POLL_MS = '1';
+const { toRestOrder, bulkFetchOrders } = require('../lib/graphqlOrders');
+const { summarizeRefunds } = require('../lib/refunds');
+const exportProfiles = require('../lib/exportProfiles');
+
+const COLUMNS = ['order_refund', 'cod_amount', 'quantity', 'order_total', 'line_total'];
+
+// An unpaid COD order of two 100.00 bags with 50.00 shipping; one bag and
+// the shipping were refunded without any money going back
+const REST_ORDER = {
+  id: 5001,
+  name: '#1001',
+  financial_status: 'partially_refunded',
+  payment_gateway_names: ['Cash on Delivery (COD)'],
+  total_price: '250.00',
+  line_items: [{ id: 11, sku: 'NUT-ALM-250', name: 'Almonds 250g', quantity: 2, price: '100.00', total_discount: '0.00' }],
+  refunds: [{
+    id: 21,
+    created_at: '2024-05-01T10:00:00Z',
+    refund_line_items: [{ line_item_id: 11, quantity: 1, subtotal: '100.00', total_tax: '0.00' }],
+    transactions: [],
+    order_adjustments: [{ kind: 'shipping_refund', amount: '-50.00', tax_amount: '0.00' }]
+  }]
+};
+
+function money(amount) {
+  return { shopMoney: { amount, currencyCode: 'EGP' } };
+}
+
+function connection(nodes) {
+  return { edges: nodes.map(node => ({ node })), pageInfo: { hasNextPage: false, endCursor: null } };
+}
+
+// The same order as the GraphQL Admin API returns it
+function graphqlOrder(adjustmentAmount) {
+  return {
+    id: 'gid://shopify/Order/5001',
+    legacyResourceId: '5001',
+    name: '#1001',
+    displayFinancialStatus: 'PARTIALLY_REFUNDED',
+    paymentGatewayNames: ['Cash on Delivery (COD)'],
+    totalPriceSet: money('250.0'),
+    lineItems: connection([{
+      id: 'gid://shopify/LineItem/11',
+      sku: 'NUT-ALM-250',
+      name: 'Almonds 250g',
+      title: 'Almonds 250g',
+      quantity: 2,
+      originalUnitPriceSet: money('100.0'),
+      discountAllocations: []
+    }]),
+    refunds: [{
+      id: 'gid://shopify/Refund/21',
+      createdAt: '2024-05-01T10:00:00Z',
+      refundLineItems: connection([{ quantity: 1, lineItem: { id: 'gid://shopify/LineItem/11' }, subtotalSet: money('100.0'), totalTaxSet: money('0.0') }]),
+      transactions: connection([]),
+      orderAdjustments: connection([{ reason: 'SHIPPING_REFUND', amountSet: money(adjustmentAmount), taxAmountSet: money('0.0') }])
+    }]
+  };
+}
+
+function exportValues(order) {
+  const refundSummary = summarizeRefunds(order.refunds);
+  const profile = { columns: COLUMNS.map(field => ({ field })) };
+  return order.line_items.map(lineItem => exportProfiles.buildRow(profile, {
+    order,
+    lineItem,
+    lineItems: order.line_items,
+    refundSummary,
+    paymentSummary: null,
+    store: { timezone: 'Africa/Cairo' }
+  }));
+}
+
+test('a refunded GraphQL order exports like the same order from orders.json', () => {
+  const order = toRestOrder(graphqlOrder('50.0'));
+  assert.deepStrictEqual(summarizeRefunds(order.refunds), summarizeRefunds(REST_ORDER.refunds));
+  assert.deepStrictEqual(exportValues(order), exportValues(REST_ORDER));
+  assert.deepStrictEqual(exportValues(order), [['150.00', '100.00', 1, '250.00', '100.00']]);
+});
+
+test('shipping refund adjustments count the same whichever sign GraphQL gives them', () => {
+  for (const amount of ['50.0', '-50.0']) {
+    const order = toRestOrder(graphqlOrder(amount));
+    assert.deepStrictEqual(order.refunds[0].order_adjustments, [{ kind: 'shipping_refund', amount: '-50.00', tax_amount: '0.00' }]);
+    assert.strictEqual(summarizeRefunds(order.refunds).refundAmount, 150);
+  }
+});
+
+// A client for a shop where one order matches, recording the operations
+// called. runBulkQuery answers RunBulkQuery; bulk operations finish on the
+// second poll without a result.
+function stubClient(runBulkQuery) {
+  const calls = [];
+  let polls = 0;
+  const client = {
+    calls,
+    graphql: async (query, variables) => {
+      const name = query.match(/^\s*(?:query|mutation)\s+(\w+)/)[1];
+      calls.push(name);
+      if (name === 'RunBulkQuery') return { bulkOperationRunQuery: runBulkQuery() };
+      if (name === 'BulkOperation') {
+        polls++;
+        return { node: { id: variables.id, status: polls >= 2 ? 'COMPLETED' : 'RUNNING', url: null } };
+      }
+      if (name === 'Orders') return { orders: connection([graphqlOrder('50.0')]) };
+      throw new Error(`Unexpected ${name}`);
+    }
+  };
+  return client;
+}
+
+const started = () => ({ bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' }, userErrors: [] });
+
+test('a bulk fetch pages through the orders while Shopify runs another bulk operation', async () => {
+  const client = stubClient(() => ({
+    bulkOperation: null,
+    userErrors: [{ field: null, message: 'A bulk query operation for this app and shop is already in progress' }]
+  }));
+  const pages = [];
+  const count = await bulkFetchOrders(client, {}, { onPage: page => pages.push(page) });
+  assert.strictEqual(count, 1);
+  assert.deepStrictEqual(pages.map(page => page.map(order => order.name)), [['#1001']]);
+  assert.deepStrictEqual(client.calls, ['RunBulkQuery', 'Orders']);
+});
+
+test('a second bulk fetch of the same shop pages through the orders instead of waiting', async () => {
+  const client = stubClient(started);
+  const pages = [];
+  const [bulkCount, pagedCount] = await Promise.all([
+    bulkFetchOrders(client, {}, { onPage: page => pages.push(page) }),
+    bulkFetchOrders(client, {}, { onPage: page => pages.push(page) })
+  ]);
+  assert.deepStrictEqual([bulkCount, pagedCount], [0, 1]);
+  assert.deepStrictEqual(client.calls.filter(name => name === 'RunBulkQuery' || name === 'Orders'), ['RunBulkQuery', 'Orders']);
+
+  // Once it has finished, the next fetch runs a bulk operation again
+  await bulkFetchOrders(client, {}, { onPage: () => {} });
+  assert.strictEqual(client.calls.filter(name => name === 'RunBulkQuery').length, 2);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const orderStore = require('../lib/orderStore');
+const orderQuery = require('../lib/orderQuery');
+
+const GATEWAYS = [['Cash on Delivery (COD)'], ['Kashier'], ['manual'], ['Bank Transfer'], []];
+
+function makeOrder(i) {
+  return {
+    id: 5000 + i,
+    name: `#${1000 + i}`,
+    order_number: 1000 + i,
+    created_at: new Date(Date.UTC(2024, 4, 1) + i * 37 * 60 * 1000).toISOString(),
+    financial_status: ['pending', 'paid', 'refunded'][i % 3],
+    fulfillment_status: i % 4 === 0 ? 'fulfilled' : null,
+    payment_gateway_names: GATEWAYS[i % GATEWAYS.length],
+    tags: i % 5 === 0 ? 'VIP, Exported' : 'exported',
+    total_price: ((i * 73) % 900 + 50).toFixed(2),
+    customer: { first_name: ['Ahmed', 'Mona', 'أحمد'][i % 3], last_name: 'Hassan', email: `Buyer${i}@Example.com` },
+    shipping_address: { phone: `+20 10 ${String(10000000 + i * 7919).slice(0, 8)}` }
+  };
+}
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-')), name);
+}
+
+const FILTER_SETS = [
+  {},
+  { financial_status: 'paid' },
+  { fulfillment_status: 'unfulfilled' },
+  { gateway: 'cod' },
+  { gateway: 'bank' },
+  { tag: 'vip' },
+  { order_number: '#102' },
+  { q: 'mona' },
+  { q: 'أحمد' },
+  { q: 'example.com' },
+  { q: '+20 10 100' },
+  { total_min: '300', total_max: '600' },
+  { gateway: 'manual', financial_status: 'pending', total_max: '700' }
+];
+
+test('the order store filters, sorts and pages like the dashboard filters do', () => {
+  const orders = Array.from({ length: 120 }, (_, i) => makeOrder(i));
+  const file = tempFile('orders.db');
+  const store = orderStore.open(file);
+  try {
+    store.upsertOrders(orders);
+    for (const filters of FILTER_SETS) {
+      for (const [sortBy, sortDir] of [['created_at', 'desc'], ['total_price', 'asc'], ['order_number', 'desc']]) {
+        const expected = orderQuery.sortOrders(orderQuery.filterOrders(orders, filters), sortBy, sortDir);
+        assert.strictEqual(store.countOrders({ filters }), expected.length, JSON.stringify(filters));
+        const page = store.searchOrders({ filters }, { sortBy, sortDir, limit: 10, offset: 10 });
+        assert.deepStrictEqual(
+          page.map(order => order.id),
+          expected.slice(10, 20).map(order => order.id),
+          `${JSON.stringify(filters)} by ${sortBy} ${sortDir}`
+        );
+      }
+    }
+    const range = { createdAtMin: orders[10].created_at, createdAtMax: orders[19].created_at, filters: { gateway: 'kashier' } };
+    assert.deepStrictEqual(store.searchOrders(range, { limit: 50 }).map(order => order.id), [5016, 5011]);
+  } finally {
+    store.close();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('databases from before the filter columns are filled in when opened', () => {
+  const file = tempFile('old.db');
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE orders (
+      id INTEGER PRIMARY KEY, name TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL,
+      closed_at TEXT, cancelled_at TEXT, financial_status TEXT, data TEXT NOT NULL
+    );
+  `);
+  const order = makeOrder(5);
+  db.prepare('INSERT INTO orders (id, name, created_at, updated_at, financial_status, data) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(order.id, order.name, order.created_at, order.created_at, order.financial_status, JSON.stringify(order));
+  db.close();
+
+  const store = orderStore.open(file);
+  try {
+    assert.strictEqual(store.countOrders({ filters: { tag: 'vip', gateway: 'kashier' } }), 0);
+    assert.deepStrictEqual(store.searchOrders({ filters: { tag: 'vip', q: 'hassan' } }, { limit: 10 }).map(o => o.id), [order.id]);
+  } finally {
+    store.close();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('duplicates of a page are found on other pages', () => {
+  const file = tempFile('orders.db');
+  const store = orderStore.open(file);
+  try {
+    const orders = Array.from({ length: 6 }, (_, i) => ({
+      ...makeOrder(i),
+      created_at: new Date(Date.UTC(2024, 4, 1, i)).toISOString(),
+      shipping_address: { phone: `0122${String(i).padStart(7, '0')}` }
+    }));
+    // The first and last order by date come from one phone, typed differently
+    orders[0].shipping_address.phone = '+20 100 123 4567';
+    orders[5].shipping_address.phone = '٠١٠٠١٢٣٤٥٦٧';
+    store.upsertOrders(orders);
+
+    const [firstPage, secondPage] = [0, 3].map(offset => store.searchOrders({}, { sortBy: 'created_at', sortDir: 'asc', limit: 3, offset }));
+    assert.deepStrictEqual(firstPage.map(order => order.id), [5000, 5001, 5002]);
+    assert.deepStrictEqual([...store.findDuplicates(firstPage)], [['5000', ['#1005']]]);
+    assert.deepStrictEqual([...store.findDuplicates(secondPage)], [['5005', ['#1000']]]);
+  } finally {
+    store.close();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Custom mappings are kept under DATA_DIR, read when the module loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlements-'));
+process.env.DATA_DIR = dataDir;
+const settlements = require('../lib/settlements');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('names of Object.prototype members are not settlement mappings', () => {
+  for (const name of ['constructor', 'toString', 'valueOf']) {
+    assert.strictEqual(settlements.getMapping(name), null, name);
+    assert.strictEqual(settlements.deleteMapping(name), false, name);
+    assert.throws(
+      () => settlements.saveMapping(name, { orderNumberColumn: 'Order', collectedAmountColumn: 'COD' }),
+      /can't be used as a mapping name/
+    );
+  }
+
+  const mapping = settlements.saveMapping('bosta', { orderNumberColumn: 'Order', collectedAmountColumn: 'COD' });
+  assert.strictEqual(settlements.getMapping('bosta'), mapping);
+  assert.strictEqual(settlements.deleteMapping('bosta'), true);
+  assert.strictEqual(settlements.getMapping('bosta'), null);
+});
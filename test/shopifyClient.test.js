@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createShopifyClient } = require('../lib/shopifyClient');
+
+const VERSION = '2025-04';
+
+// A shop that fails the first request to every path with a 502 (after
+// counting it) and answers the rest
+async function startShop() {
+  const hits = new Map();
+  const server = http.createServer((req, res) => {
+    const key = `${req.method} ${req.url}`;
+    hits.set(key, (hits.get(key) || 0) + 1);
+    res.setHeader('Content-Type', 'application/json');
+    if (hits.get(key) === 1) {
+      res.statusCode = 502;
+      return res.end('{"errors":"Bad Gateway"}');
+    }
+    res.end('{"ok":true}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = createShopifyClient({
+    accessToken: 'token',
+    apiVersion: VERSION,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    baseDelayMs: 1,
+    maxRetries: 2
+  });
+  return { client, hits, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('GETs and PUTs are retried after a 5xx', async () => {
+  const shop = await startShop();
+  try {
+    assert.deepStrictEqual((await shop.client.get('orders.json')).data, { ok: true });
+    assert.deepStrictEqual((await shop.client.put('orders/1.json', {})).data, { ok: true });
+    assert.strictEqual(shop.hits.get(`GET /admin/api/${VERSION}/orders.json`), 2);
+    assert.strictEqual(shop.hits.get(`PUT /admin/api/${VERSION}/orders/1.json`), 2);
+  } finally {
+    await shop.close();
+  }
+});
+
+test('POSTs are not sent again after a 5xx', async () => {
+  const shop = await startShop();
+  try {
+    await assert.rejects(shop.client.post('fulfillments.json', {}), error => error.response.status === 502);
+    assert.strictEqual(shop.hits.get(`POST /admin/api/${VERSION}/fulfillments.json`), 1);
+    assert.strictEqual(shop.client.getMetrics().retries, 0);
+  } finally {
+    await shop.close();
+  }
+});
+
+test('GraphQL requests use the REST API version', async () => {
+  const shop = await startShop();
+  try {
+    await shop.client.graphql('query { shop { name } }');
+    assert.strictEqual(shop.hits.get(`POST /admin/api/${VERSION}/graphql.json`), 2);
+  } finally {
+    await shop.close();
+  }
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stores are kept under DATA_DIR, read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stores-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.SHOPIFY_SHOP_NAME;
+delete process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+const stores = require('../lib/stores');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function syncOne(store, id) {
+  store.orders.upsertOrders([{ id, name: `#${id}`, created_at: '2024-05-01T10:00:00Z' }]);
+  store.orders.setState('updated_at_watermark', '2024-05-01T10:00:00Z');
+  store.orders.setState('backfill_complete', true);
+}
+
+test('moving a store to another shop empties its order store for a new backfill', () => {
+  const store = stores.createStore({ id: 'moved', shopName: 'old-shop.myshopify.com', accessToken: 'token' });
+  syncOne(store, 1);
+
+  const renamed = stores.updateStore('moved', { name: 'Renamed' });
+  assert.strictEqual(renamed.orders.countOrders(), 1);
+  assert.strictEqual(renamed.orders.getState('backfill_complete'), true);
+
+  const moved = stores.updateStore('moved', { shopName: 'https://new-shop.myshopify.com/admin' });
+  assert.strictEqual(moved.shopName, 'new-shop.myshopify.com');
+  assert.strictEqual(moved.orders.countOrders(), 0);
+  assert.strictEqual(moved.orders.getState('backfill_complete'), null);
+  assert.strictEqual(moved.orders.getState('updated_at_watermark'), null);
+});
+
+test('stores in use are neither removed nor moved to another shop', async () => {
+  const store = stores.createStore({ id: 'busy', shopName: 'busy.myshopify.com', accessToken: 'token' });
+  syncOne(store, 2);
+
+  let finish;
+  const running = stores.useStores([store], () => new Promise(resolve => {
+    finish = resolve;
+  }));
+  assert.throws(() => stores.deleteStore('busy'), error => error.status === 409);
+  assert.throws(() => stores.updateStore('busy', { shopName: 'other.myshopify.com' }), error => error.status === 409);
+  assert.strictEqual(stores.updateStore('busy', { name: 'Busy' }).orders.countOrders(), 1);
+
+  finish();
+  await running;
+  assert.strictEqual(stores.deleteStore('busy'), true);
+  assert.strictEqual(stores.getStore('busy'), null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const timezone = require('../lib/timezone');
+const { summarizeOrders } = require('../lib/analytics');
+
+// Cairo clocks go forward from 00:00 to 01:00 on 2024-04-26 and back from
+// 24:00 to 23:00 at the end of 2024-10-31
+const ZONE = 'Africa/Cairo';
+const HOUR = 60 * 60 * 1000;
+
+function dayLength(day) {
+  return Date.parse(timezone.endOfDay(day, ZONE)) + 1 - Date.parse(timezone.startOfDay(day, ZONE));
+}
+
+test('the day DST starts begins at 01:00 and lasts 23 hours', () => {
+  assert.strictEqual(timezone.startOfDay('2024-04-26', ZONE), '2024-04-25T22:00:00.000Z');
+  assert.strictEqual(timezone.endOfDay('2024-04-26', ZONE), '2024-04-26T20:59:59.999Z');
+  assert.strictEqual(dayLength('2024-04-26'), 23 * HOUR);
+});
+
+test('the day DST ends lasts 25 hours, including the repeated hour', () => {
+  assert.strictEqual(timezone.startOfDay('2024-10-31', ZONE), '2024-10-30T21:00:00.000Z');
+  assert.strictEqual(timezone.endOfDay('2024-10-31', ZONE), '2024-10-31T21:59:59.999Z');
+  assert.strictEqual(dayLength('2024-10-31'), 25 * HOUR);
+});
+
+test('days next to the transitions are 24 hours and meet without gaps', () => {
+  assert.strictEqual(dayLength('2024-04-25'), 24 * HOUR);
+  assert.strictEqual(dayLength('2024-11-01'), 24 * HOUR);
+  assert.strictEqual(Date.parse(timezone.endOfDay('2024-04-25', ZONE)) + 1, Date.parse(timezone.startOfDay('2024-04-26', ZONE)));
+  assert.strictEqual(Date.parse(timezone.endOfDay('2024-10-31', ZONE)) + 1, Date.parse(timezone.startOfDay('2024-11-01', ZONE)));
+});
+
+test('full ISO timestamps are taken as exact instants', () => {
+  assert.strictEqual(timezone.startOfDay('2024-04-26T00:30:00+03:00', ZONE), '2024-04-25T21:30:00.000Z');
+  assert.throws(() => timezone.startOfDay('2024-02-30', ZONE), error => error.status === 400);
+});
+
+test('formatTimestamp skips the missing hour and repeats the extra one', () => {
+  assert.strictEqual(timezone.formatTimestamp('2024-04-25T21:59:00Z', undefined, ZONE), '2024-04-25 23:59');
+  assert.strictEqual(timezone.formatTimestamp('2024-04-25T22:00:00Z', undefined, ZONE), '2024-04-26 01:00');
+  assert.strictEqual(timezone.formatTimestamp('2024-10-31T20:30:00Z', undefined, ZONE), '2024-10-31 23:30');
+  assert.strictEqual(timezone.formatTimestamp('2024-10-31T21:30:00Z', undefined, ZONE), '2024-10-31 23:30');
+  assert.strictEqual(timezone.formatTimestamp('2024-10-31T22:00:00Z', undefined, ZONE), '2024-11-01 00:00');
+  assert.strictEqual(timezone.formatTimestamp(null, undefined, ZONE), '');
+});
+
+test('orders are bucketed by the local day around both transitions', () => {
+  const order = (id, createdAt) => ({ id, created_at: createdAt, total_price: '100.00', line_items: [] });
+  const { series } = summarizeOrders([
+    order(1, '2024-04-25T21:59:00Z'),
+    order(2, '2024-04-25T22:00:00Z'),
+    order(3, '2024-10-30T21:00:00Z'),
+    order(4, '2024-10-31T21:30:00Z'),
+    order(5, '2024-10-31T22:00:00Z')
+  ], { timezone: ZONE });
+  assert.deepStrictEqual(series.day.map(day => [day.period, day.orderCount]), [
+    ['2024-04-25', 1],
+    ['2024-04-26', 1],
+    ['2024-10-31', 2],
+    ['2024-11-01', 1]
+  ]);
+});
+
+test('spreadsheet dates carry the local wall-clock time', () => {
+  assert.strictEqual(timezone.toSpreadsheetDate('2024-10-31T21:30:00Z', ZONE).toISOString(), '2024-10-31T23:30:00.000Z');
+  assert.strictEqual(timezone.toSpreadsheetDate(null, ZONE), null);
+});